@@ -0,0 +1,110 @@
+// Stands in for a WebSocket where proxies block WebSocket upgrades. It talks
+// to GET /events next to /websocket: server messages arrive on an
+// EventSource, client messages are POSTed with the resume token of the
+// latest welcome. Event streams carry JSON text only, no binary frames.
+class EventStreamTransport {
+    constructor(wsUrl, options = {}) {
+        const url = new URL(wsUrl);
+        url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+        url.pathname = url.pathname.replace(/\/websocket$/, '/events');
+        if (options.version) url.searchParams.set('version', options.version);
+        this.url = url;
+
+        this.readyState = WebSocket.CONNECTING;
+        this.binaryType = 'arraybuffer';
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.connectionId = null;
+        this.resumeToken = null;
+        // POSTs are chained so the server receives messages in order
+        this.sending = Promise.resolve();
+
+        this.source = new EventSource(url);
+        this.source.onmessage = (event) => this.handleEvent(event.data);
+        this.source.addEventListener('close', (event) => {
+            const { code, reason } = JSON.parse(event.data);
+            this.finish(code, reason);
+        });
+        this.source.onerror = () => {
+            // EventSource reconnects by itself, sending the Last-Event-ID that
+            // resumes the session. It only gives up on HTTP errors.
+            if (this.source.readyState === EventSource.CLOSED) {
+                this.emit('onerror', new Error('Event stream failed'));
+                this.finish(1006, 'Event stream failed');
+            }
+        };
+    }
+
+    handleEvent(data) {
+        let message = null;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            // Plain text such as "pong"
+        }
+
+        // Every welcome, including those of resumed sessions, brings a new
+        // resume token
+        if (message && message.type === 'welcome') {
+            this.connectionId = message.connectionId;
+            this.resumeToken = message.resumeToken;
+            if (this.readyState === WebSocket.CONNECTING) {
+                this.readyState = WebSocket.OPEN;
+                this.emit('onopen', new Event('open'));
+            }
+        }
+        this.emit('onmessage', new MessageEvent('message', { data }));
+    }
+
+    send(data) {
+        if (this.readyState !== WebSocket.OPEN) {
+            throw new Error('Event stream is not open');
+        }
+        if (typeof data !== 'string') {
+            throw new Error('Event streams carry text messages only');
+        }
+        this.sending = this.sending
+            .then(() => this.request('POST', data))
+            .catch((error) => this.emit('onerror', error));
+    }
+
+    // Ends the session on the server too; dropping the stream alone would
+    // leave it resumable
+    close(code = 1000, reason = '') {
+        if (this.readyState === WebSocket.CLOSED) return;
+        if (this.connectionId) {
+            this.sending = this.sending.then(() => this.request('DELETE')).catch(() => { });
+        }
+        this.finish(code, reason);
+    }
+
+    request(method, body) {
+        const url = new URL(`${this.url.pathname}/${encodeURIComponent(this.connectionId)}`, this.url);
+        const hub = this.url.searchParams.get('hub');
+        if (hub) url.searchParams.set('hub', hub);
+
+        return fetch(url, {
+            method,
+            headers: { 'Content-Type': 'text/plain', 'X-Resume-Token': this.resumeToken },
+            body
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error(`Event stream ${method} failed with ${response.status}`);
+            }
+        });
+    }
+
+    finish(code, reason) {
+        if (this.readyState === WebSocket.CLOSED) return;
+        this.readyState = WebSocket.CLOSED;
+        this.source.close();
+        // Reported later, like the close event of a WebSocket
+        setTimeout(() => this.emit('onclose', new CloseEvent('close', { code, reason, wasClean: code !== 1006 })), 0);
+    }
+
+    emit(handler, event) {
+        if (this[handler]) this[handler](event);
+    }
+}
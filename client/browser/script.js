@@ -1,6 +1,7 @@
 class WebSocketClient {
     constructor() {
         this.ws = null;
+        this.codec = WsProtocol.jsonCodec;
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectDelay = 1000;
@@ -9,6 +10,8 @@ class WebSocketClient {
         this.errorCount = 0;
         this.messageQueue = [];
         this.isReconnecting = false;
+        // Set once a WebSocket handshake failed, see openEventStream
+        this.useEventStream = false;
 
         this.performance = {
             startTime: null,
@@ -30,6 +33,7 @@ class WebSocketClient {
             wsUrl: document.getElementById('wsUrl'),
             reconnectAttempts: document.getElementById('reconnectAttempts'),
             reconnectDelay: document.getElementById('reconnectDelay'),
+            encoding: document.getElementById('encoding'),
             connectBtn: document.getElementById('connectBtn'),
             disconnectBtn: document.getElementById('disconnectBtn'),
             sendBtn: document.getElementById('sendBtn'),
@@ -119,12 +123,20 @@ class WebSocketClient {
 
         try {
             this.updateStatus('Connecting...', 'connecting');
-            this.ws = new WebSocket(url);
+            // Ask for the protocol version of the loaded validators, in the
+            // selected encoding
+            this.codec = WsProtocol.codecFor(this.elements.encoding.value);
+            this.ws = this.useEventStream
+                ? this.openEventStream(url)
+                : new WebSocket(url, [WsProtocol.versionProtocol(WsProtocol.PROTOCOL_VERSION, this.codec.encoding)]);
+            this.ws.binaryType = 'arraybuffer';
             this.maxReconnectAttempts = parseInt(this.elements.reconnectAttempts.value) || 5;
             this.reconnectDelay = parseInt(this.elements.reconnectDelay.value) || 1000;
+            let opened = false;
 
             this.ws.onopen = () => {
-                this.updateStatus('Connected', 'connected');
+                opened = true;
+                this.updateStatus(this.useEventStream ? 'Connected (Server-Sent Events)' : 'Connected', 'connected');
                 this.reconnectAttempts = 0;
                 this.isReconnecting = false;
 
@@ -139,8 +151,20 @@ class WebSocketClient {
                 this.handleMessage(event.data);
             };
 
-            this.ws.onclose = () => {
+            this.ws.onclose = (event) => {
                 this.updateStatus('Disconnected', 'disconnected');
+                if (event.code === WsProtocol.CLOSE_UNSUPPORTED_VERSION) {
+                    this.showError(`Server rejected protocol version ${WsProtocol.PROTOCOL_VERSION} (${this.codec.encoding}): ${event.reason}`);
+                    return;
+                }
+                // A handshake that fails outright is what proxies blocking
+                // WebSocket upgrades look like
+                if (!opened && !this.useEventStream && event.code === 1006) {
+                    this.useEventStream = true;
+                    this.logMessage('WebSocket handshake failed, falling back to Server-Sent Events');
+                    this.connect();
+                    return;
+                }
                 this.attemptReconnect();
             };
 
@@ -164,6 +188,17 @@ class WebSocketClient {
         this.elements.connectBtn.disabled = false;
         this.elements.disconnectBtn.disabled = true;
         this.isReconnecting = false;
+        // The next connection tries WebSocket again
+        this.useEventStream = false;
+    }
+
+    // Event streams carry JSON only, whatever encoding is selected
+    openEventStream(url) {
+        if (this.codec.encoding !== 'json') {
+            this.logMessage(`${this.codec.encoding} is not available over Server-Sent Events, using JSON`, 'error');
+            this.codec = WsProtocol.jsonCodec;
+        }
+        return new EventStreamTransport(url, { version: WsProtocol.PROTOCOL_VERSION });
     }
 
     attemptReconnect() {
@@ -239,6 +274,13 @@ class WebSocketClient {
                 view.setUint32(4, Math.random() * 1000000);
                 message = buffer;
                 break;
+            case 'msgpack':
+                // A protocol message in MessagePack, echoed back by the server
+                message = WsProtocol.msgpackCodec.encode({
+                    type: 'echo',
+                    content: `Test message ${Date.now()}`
+                });
+                break;
         }
 
         this.sendMessage(message);
@@ -250,11 +292,29 @@ class WebSocketClient {
     }
 
     handleMessage(data) {
+        const message = this.parseServerMessage(data);
+
+        // Answer server heartbeats so the connection is not closed as idle
+        if (message && message.type === 'ping') {
+            this.ws.send(this.codec.encode({ type: 'pong', timestamp: Date.now() }));
+            return;
+        }
+
         this.receivedCount++;
         this.updateStats();
 
+        // Refused messages carry a machine-readable code
+        if (message && message.type === 'error') {
+            this.errorCount++;
+            this.updateStats();
+            this.logMessage(`Server error ${message.code}: ${message.message}`, 'error');
+            return;
+        }
+
         let messageContent = data;
-        if (data instanceof ArrayBuffer) {
+        if (message && typeof data !== 'string') {
+            messageContent = `MessagePack: ${JSON.stringify(message)}`;
+        } else if (data instanceof ArrayBuffer) {
             // Convert binary data to hex string for display
             const bytes = new Uint8Array(data);
             messageContent = `Binary data (${data.byteLength} bytes): ${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join(' ')}`;
@@ -270,6 +330,28 @@ class WebSocketClient {
         }
     }
 
+    // Validates JSON frames, and binary frames of MessagePack connections,
+    // with the shared protocol validators, returning null for anything else
+    parseServerMessage(data) {
+        if (typeof data === 'string' ? !data.startsWith('{') : this.codec.encoding !== 'msgpack') {
+            return null;
+        }
+
+        let parsedData;
+        try {
+            parsedData = this.codec.decode(data);
+        } catch (e) {
+            return null;
+        }
+
+        const result = WsProtocol.parseServerMessage(parsedData);
+        if (!result.ok) {
+            this.logMessage(`Unexpected server message: ${result.message}`, 'error');
+            return null;
+        }
+        return result.value;
+    }
+
     handleError(error) {
         this.errorCount++;
         this.updateStats();
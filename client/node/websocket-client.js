@@ -1,5 +1,6 @@
 import WebSocket from 'ws';
 import { performance } from 'perf_hooks';
+import { CLOSE_SESSION_RESUMED, CLOSE_UNSUPPORTED_VERSION, PROTOCOL_VERSION, ServerError, checkMessageSize, codecFor, parseServerMessage, versionProtocol } from '@cf-worker-02/protocol';
 
 class CloudflareWebSocketClient {
     constructor(options = {}) {
@@ -8,9 +9,17 @@ class CloudflareWebSocketClient {
         this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
         this.reconnectDelay = options.reconnectDelay || 1000;
         this.autoReconnect = options.autoReconnect !== false;
+        // Wire encoding of protocol messages, 'json' or 'msgpack'
+        this.codec = codecFor(options.encoding || 'json');
+        // From the last welcome, lets a reconnect resume the session
+        this.resumeToken = null;
+        // From the last welcome. The server cannot read the id of a frame
+        // over them, so sendWithAck refuses such frames itself.
+        this.limits = null;
         this.ws = null;
         this.isConnected = false;
         this.messageQueue = [];
+        this.pendingAcks = new Map();
         this.stats = {
             sent: 0,
             received: 0,
@@ -22,14 +31,17 @@ class CloudflareWebSocketClient {
             onOpen: options.onOpen || (() => { }),
             onClose: options.onClose || (() => { }),
             onError: options.onError || (() => { }),
-            onMessage: options.onMessage || (() => { })
+            onMessage: options.onMessage || (() => { }),
+            // Called with every frame that is a valid protocol message
+            onServerMessage: options.onServerMessage || (() => { })
         };
     }
 
     connect() {
         return new Promise((resolve, reject) => {
             try {
-                this.ws = new WebSocket(this.url);
+                // Ask for the protocol version this client was built against
+                this.ws = new WebSocket(this._resumeUrl(), [versionProtocol(PROTOCOL_VERSION, this.codec.encoding)]);
                 this.stats.connections++;
 
                 this.ws.on('open', () => {
@@ -54,7 +66,11 @@ class CloudflareWebSocketClient {
 
                     this.callbacks.onClose(code, reason);
 
-                    if (this.autoReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
+                    if (code === CLOSE_UNSUPPORTED_VERSION) {
+                        console.error(`[ERROR] Server does not support protocol version ${PROTOCOL_VERSION}`);
+                    } else if (code === CLOSE_SESSION_RESUMED) {
+                        console.log('[INFO] Session resumed by another connection');
+                    } else if (this.autoReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
                         this._attemptReconnect();
                     }
                 });
@@ -66,8 +82,29 @@ class CloudflareWebSocketClient {
                     reject(error);
                 });
 
-                this.ws.on('message', (data) => {
+                this.ws.on('message', (data, isBinary) => {
                     this.stats.received++;
+                    const text = isBinary ? null : data.toString();
+                    const message = text === 'ping' || text === 'pong' ? null : this._parseServerMessage(text === null ? data : text);
+                    if (text === 'ping' || (message && message.type === 'ping')) {
+                        this._answerServerPing();
+                        return;
+                    }
+                    if (message && message.type === 'welcome') {
+                        this.resumeToken = message.resumeToken;
+                        this.limits = message.limits;
+                    }
+                    if (message && message.type === 'ack' && this._handleAck(message)) {
+                        return;
+                    }
+                    // Refused messages surface as typed errors, see ServerError
+                    if (message && message.type === 'error') {
+                        this.callbacks.onError(ServerError.from(message));
+                        return;
+                    }
+                    if (message) {
+                        this.callbacks.onServerMessage(message);
+                    }
                     this.callbacks.onMessage(data);
                 });
             } catch (error) {
@@ -77,6 +114,17 @@ class CloudflareWebSocketClient {
         });
     }
 
+    // Reconnects present the resume token, so the server hands back the
+    // connection id, subscriptions and messages queued in between
+    _resumeUrl() {
+        if (!this.resumeToken) {
+            return this.url;
+        }
+        const url = new URL(this.url);
+        url.searchParams.set('resume', this.resumeToken);
+        return url.toString();
+    }
+
     _attemptReconnect() {
         this.reconnectAttempts++;
         console.log(`[INFO] Attempting to reconnect... (${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
@@ -129,45 +177,94 @@ class CloudflareWebSocketClient {
     }
 
     async sendWithAck(message, timeout = 5000) {
-        return new Promise(async (resolve, reject) => {
-            const messageId = `msg_${Date.now()}_${Math.random()}`;
-            const payload = typeof message === 'string' ? message : JSON.stringify({ ...message, id: messageId });
+        const messageId = `msg_${Date.now()}_${Math.random()}`;
+        // Plain strings are wrapped so the server has an id to acknowledge
+        const payload = typeof message === 'string'
+            ? { type: 'message', content: message }
+            : message;
+
+        const frame = this._encode({ ...payload, id: messageId });
+        const sizeError = this.limits && checkMessageSize(Buffer.byteLength(frame), this.limits);
+        if (sizeError) {
+            throw new ServerError('MESSAGE_TOO_LARGE', sizeError, messageId, { limits: this.limits });
+        }
 
+        return new Promise(async (resolve, reject) => {
             const timeoutId = setTimeout(() => {
+                this.pendingAcks.delete(messageId);
                 reject(new Error('Message acknowledgment timeout'));
             }, timeout);
 
-            const originalOnMessage = this.callbacks.onMessage;
-            this.callbacks.onMessage = (data) => {
-                try {
-                    const parsedData = JSON.parse(data.toString());
-                    if (parsedData.ack && parsedData.id === messageId) {
-                        clearTimeout(timeoutId);
-                        this.callbacks.onMessage = originalOnMessage;
-                        resolve(parsedData);
-                    }
-                } catch (e) {
-                    // Not an ACK message, continue with original handler
-                    if (originalOnMessage) {
-                        originalOnMessage(data);
-                    }
-                }
-            };
+            this.pendingAcks.set(messageId, { resolve, reject, timeoutId });
 
             try {
-                await this.send(payload);
+                await this.send(frame);
             } catch (error) {
                 clearTimeout(timeoutId);
-                this.callbacks.onMessage = originalOnMessage;
+                this.pendingAcks.delete(messageId);
                 reject(error);
             }
         });
     }
 
+    _encode(message) {
+        const frame = this.codec.encode(message);
+        return typeof frame === 'string' ? frame : Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength);
+    }
+
+    // Decodes a frame and validates it against the shared protocol, returning
+    // null for frames that are not protocol messages. Binary frames only hold
+    // messages on MessagePack connections.
+    _parseServerMessage(frame) {
+        if (typeof frame !== 'string' && this.codec.encoding !== 'msgpack') {
+            return null;
+        }
+
+        let parsedData;
+        try {
+            parsedData = this.codec.decode(frame);
+        } catch (e) {
+            return null;
+        }
+
+        const result = parseServerMessage(parsedData);
+        if (!result.ok) {
+            console.warn('[WARN] Unexpected server message:', result.message);
+            return null;
+        }
+        return result.value;
+    }
+
+    // Settles the sendWithAck call an incoming ack belongs to. Returns true
+    // when the ack was expected.
+    _handleAck(ack) {
+        if (!this.pendingAcks.has(ack.id)) {
+            return false;
+        }
+
+        const { resolve, reject, timeoutId } = this.pendingAcks.get(ack.id);
+        clearTimeout(timeoutId);
+        this.pendingAcks.delete(ack.id);
+
+        if (ack.status === 'accepted') {
+            resolve(ack);
+        } else {
+            const error = new ServerError(ack.code || 'INTERNAL_ERROR', ack.error || `Message ${ack.status}`, ack.id);
+            error.ack = ack;
+            reject(error);
+        }
+        return true;
+    }
+
+    // Answers server heartbeats so the connection is not closed as idle
+    _answerServerPing() {
+        this.ws.send(this._encode({ type: 'pong', timestamp: Date.now() }));
+    }
+
     async ping(timeout = 5000) {
         const startTime = performance.now();
         try {
-            await this.sendWithAck('PING', timeout);
+            await this.sendWithAck({ type: 'ping' }, timeout);
             const endTime = performance.now();
             const latency = endTime - startTime;
             console.log(`[INFO] Ping: ${latency.toFixed(2)}ms`);
@@ -179,8 +276,10 @@ class CloudflareWebSocketClient {
     }
 
     disconnect() {
+        // A normal closure ends the session instead of leaving it resumable
+        this.resumeToken = null;
         if (this.ws) {
-            this.ws.close();
+            this.ws.close(1000);
             this.isConnected = false;
         }
     }
@@ -320,6 +419,7 @@ class CloudflareWebSocketClient {
 }
 
 export default CloudflareWebSocketClient;
+export { ServerError };
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
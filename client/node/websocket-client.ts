@@ -1,15 +1,36 @@
 import WebSocket from "ws"
 import { performance } from "perf_hooks"
+import {
+  CLOSE_SESSION_RESUMED,
+  CLOSE_UNSUPPORTED_VERSION,
+  PROTOCOL_VERSION,
+  ServerError,
+  checkMessageSize,
+  codecFor,
+  parseServerMessage,
+  versionProtocol,
+  type Codec,
+  type Encoding,
+  type MessageLimits,
+  type ClientMessage,
+  type ServerMessage,
+  type ServerMessageOf,
+} from "@cf-worker-02/protocol"
 
 interface WebSocketOptions {
   url?: string
   maxReconnectAttempts?: number
   reconnectDelay?: number
   autoReconnect?: boolean
+  // Wire encoding of protocol messages, "json" by default
+  encoding?: Encoding
   onOpen?: () => void
   onClose?: (code: number, reason: string) => void
+  // Socket errors, and ServerError for messages the server refused
   onError?: (error: Error) => void
   onMessage?: (data: WebSocket.Data) => void
+  // Called with every frame that is a valid protocol message
+  onServerMessage?: (message: ServerMessage) => void
 }
 
 interface Stats {
@@ -26,10 +47,25 @@ interface MessageQueueItem {
   reject: (reason?: any) => void
 }
 
-interface AckMessage {
-  ack?: boolean
-  id?: string
-  [key: string]: any
+type AckMessage = ServerMessageOf<"ack">
+
+interface PendingAck {
+  resolve: (ack: AckMessage) => void
+  reject: (reason?: any) => void
+  timeoutId: ReturnType<typeof setTimeout>
+}
+
+// Rejection of sendWithAck carrying the server's ack. `code` tells why the
+// message was refused.
+class AckError extends ServerError {
+  constructor(public ack: AckMessage) {
+    super(
+      ack.code ?? "INTERNAL_ERROR",
+      ack.error || `Message ${ack.status}`,
+      ack.id as string
+    )
+    this.name = "AckError"
+  }
 }
 
 class CloudflareWebSocketClient {
@@ -38,15 +74,23 @@ class CloudflareWebSocketClient {
   private maxReconnectAttempts: number
   private reconnectDelay: number
   private autoReconnect: boolean
+  private codec: Codec
+  // From the last welcome, lets a reconnect resume the session
+  private resumeToken: string | null
+  // From the last welcome. The server cannot read the id of a frame over
+  // them, so sendWithAck refuses such frames itself.
+  private limits: MessageLimits | null
   private ws: WebSocket | null
   private isConnected: boolean
   private messageQueue: MessageQueueItem[]
+  private pendingAcks: Map<unknown, PendingAck>
   private stats: Stats
   private callbacks: {
     onOpen: () => void
     onClose: (code: number, reason: string) => void
     onError: (error: Error) => void
     onMessage: (data: WebSocket.Data) => void
+    onServerMessage: (message: ServerMessage) => void
   }
 
   constructor(options: WebSocketOptions = {}) {
@@ -55,9 +99,13 @@ class CloudflareWebSocketClient {
     this.maxReconnectAttempts = options.maxReconnectAttempts || 5
     this.reconnectDelay = options.reconnectDelay || 1000
     this.autoReconnect = options.autoReconnect !== false
+    this.codec = codecFor(options.encoding || "json")
+    this.resumeToken = null
+    this.limits = null
     this.ws = null
     this.isConnected = false
     this.messageQueue = []
+    this.pendingAcks = new Map()
     this.stats = {
       sent: 0,
       received: 0,
@@ -70,13 +118,17 @@ class CloudflareWebSocketClient {
       onClose: options.onClose || (() => {}),
       onError: options.onError || (() => {}),
       onMessage: options.onMessage || (() => {}),
+      onServerMessage: options.onServerMessage || (() => {}),
     }
   }
 
   connect(): Promise<void> {
     return new Promise((resolve, reject) => {
       try {
-        this.ws = new WebSocket(this.url)
+        // Ask for the protocol version this client was built against
+        this.ws = new WebSocket(this._resumeUrl(), [
+          versionProtocol(PROTOCOL_VERSION, this.codec.encoding),
+        ])
         this.stats.connections++
 
         this.ws.on("open", () => {
@@ -113,7 +165,13 @@ class CloudflareWebSocketClient {
 
           this.callbacks.onClose(code, reason.toString())
 
-          if (
+          if (code === CLOSE_UNSUPPORTED_VERSION) {
+            console.error(
+              `[ERROR] Server does not support protocol version ${PROTOCOL_VERSION}`
+            )
+          } else if (code === CLOSE_SESSION_RESUMED) {
+            console.log("[INFO] Session resumed by another connection")
+          } else if (
             this.autoReconnect &&
             this.reconnectAttempts < this.maxReconnectAttempts
           ) {
@@ -128,8 +186,32 @@ class CloudflareWebSocketClient {
           reject(error)
         })
 
-        this.ws.on("message", (data) => {
+        this.ws.on("message", (data, isBinary) => {
           this.stats.received++
+          const text = isBinary ? null : data.toString()
+          const message =
+            text === "ping" || text === "pong"
+              ? null
+              : this._parseServerMessage(text ?? (data as Buffer))
+          if (text === "ping" || message?.type === "ping") {
+            this._answerServerPing()
+            return
+          }
+          if (message?.type === "welcome") {
+            this.resumeToken = message.resumeToken
+            this.limits = message.limits
+          }
+          if (message?.type === "ack" && this._handleAck(message)) {
+            return
+          }
+          // Refused messages surface as typed errors, see ServerError
+          if (message?.type === "error") {
+            this.callbacks.onError(ServerError.from(message))
+            return
+          }
+          if (message) {
+            this.callbacks.onServerMessage(message)
+          }
           this.callbacks.onMessage(data)
         })
       } catch (error) {
@@ -142,6 +224,15 @@ class CloudflareWebSocketClient {
     })
   }
 
+  // Reconnects present the resume token, so the server hands back the
+  // connection id, subscriptions and messages queued in between
+  private _resumeUrl(): string {
+    if (!this.resumeToken) return this.url
+    const url = new URL(this.url)
+    url.searchParams.set("resume", this.resumeToken)
+    return url.toString()
+  }
+
   private _attemptReconnect(): void {
     this.reconnectAttempts++
     console.log(
@@ -206,49 +297,102 @@ class CloudflareWebSocketClient {
     }
   }
 
-  async sendWithAck(message: any, timeout: number = 5000): Promise<AckMessage> {
-    return new Promise(async (resolve, reject) => {
-      const messageId = `msg_${Date.now()}_${Math.random()}`
-      const payload =
-        typeof message === "string"
-          ? message
-          : JSON.stringify({ ...message, id: messageId })
+  async sendWithAck(
+    message: ClientMessage | string,
+    timeout: number = 5000
+  ): Promise<AckMessage> {
+    const messageId = `msg_${Date.now()}_${Math.random()}`
+    // Plain strings are wrapped so the server has an id to acknowledge
+    const payload =
+      typeof message === "string"
+        ? { type: "message", content: message }
+        : message
+
+    const frame = this._encode({ ...payload, id: messageId })
+    const sizeError =
+      this.limits && checkMessageSize(Buffer.byteLength(frame), this.limits)
+    if (sizeError) {
+      throw new ServerError("MESSAGE_TOO_LARGE", sizeError, messageId, {
+        limits: this.limits,
+      })
+    }
 
+    return new Promise(async (resolve, reject) => {
       const timeoutId = setTimeout(() => {
+        this.pendingAcks.delete(messageId)
         reject(new Error("Message acknowledgment timeout"))
       }, timeout)
 
-      const originalOnMessage = this.callbacks.onMessage
-      this.callbacks.onMessage = (data) => {
-        try {
-          const parsedData = JSON.parse(data.toString()) as AckMessage
-          if (parsedData.ack && parsedData.id === messageId) {
-            clearTimeout(timeoutId)
-            this.callbacks.onMessage = originalOnMessage
-            resolve(parsedData)
-          }
-        } catch (e) {
-          // Not an ACK message, continue with original handler
-          if (originalOnMessage) {
-            originalOnMessage(data)
-          }
-        }
-      }
+      this.pendingAcks.set(messageId, { resolve, reject, timeoutId })
 
       try {
-        await this.send(payload)
+        await this.send(frame)
       } catch (error) {
         clearTimeout(timeoutId)
-        this.callbacks.onMessage = originalOnMessage
+        this.pendingAcks.delete(messageId)
         reject(error)
       }
     })
   }
 
+  private _encode(message: object): string | Buffer {
+    const frame = this.codec.encode(message)
+    return typeof frame === "string"
+      ? frame
+      : Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength)
+  }
+
+  // Decodes a frame and validates it against the shared protocol, returning
+  // null for frames that are not protocol messages. Binary frames only hold
+  // messages on MessagePack connections.
+  private _parseServerMessage(frame: string | Buffer): ServerMessage | null {
+    if (typeof frame !== "string" && this.codec.encoding !== "msgpack") {
+      return null
+    }
+
+    let parsedData: unknown
+    try {
+      parsedData = this.codec.decode(frame)
+    } catch (e) {
+      return null
+    }
+
+    const result = parseServerMessage(parsedData)
+    if (!result.ok) {
+      console.warn("[WARN] Unexpected server message:", result.message)
+      return null
+    }
+    return result.value
+  }
+
+  // Settles the sendWithAck call an incoming ack belongs to. Returns true
+  // when the ack was expected.
+  private _handleAck(ack: AckMessage): boolean {
+    const pending = this.pendingAcks.get(ack.id)
+    if (!pending) {
+      return false
+    }
+
+    clearTimeout(pending.timeoutId)
+    this.pendingAcks.delete(ack.id)
+
+    if (ack.status === "accepted") {
+      pending.resolve(ack)
+    } else {
+      pending.reject(new AckError(ack))
+    }
+    return true
+  }
+
+  // Answers server heartbeats so the connection is not closed as idle
+  private _answerServerPing(): void {
+    this.ws!.send(this._encode({ type: "pong", timestamp: Date.now() }))
+  }
+
   async ping(timeout: number = 5000): Promise<number> {
     const startTime = performance.now()
     try {
-      await this.sendWithAck("PING", timeout)
+      await this.sendWithAck({ type: "ping" }, timeout)
       const endTime = performance.now()
       const latency = endTime - startTime
       console.log(`[INFO] Ping: ${latency.toFixed(2)}ms`)
@@ -260,8 +404,10 @@ class CloudflareWebSocketClient {
   }
 
   disconnect(): void {
+    // A normal closure ends the session instead of leaving it resumable
+    this.resumeToken = null
     if (this.ws) {
-      this.ws.close()
+      this.ws.close(1000)
       this.isConnected = false
     }
   }
@@ -417,6 +563,8 @@ class CloudflareWebSocketClient {
 }
 
 export default CloudflareWebSocketClient
+export { AckError, ServerError }
+export type { AckMessage }
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
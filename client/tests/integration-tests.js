@@ -1,13 +1,29 @@
 import WebSocket from 'ws';
 import assert from 'assert';
-import { promises as fs } from 'fs';
-import path from 'path';
+import { CLOSE_UNSUPPORTED_VERSION, msgpackCodec, parseServerMessage, versionProtocol } from '@cf-worker-02/protocol';
+
+export const DEFAULT_WS_URL = 'ws://localhost:8787/websocket';
+
+// Adds query parameters to a WebSocket URL, keeping the ones it has
+const withParams = (url, params) => {
+    const result = new URL(url);
+    for (const [name, value] of Object.entries(params)) {
+        result.searchParams.set(name, value);
+    }
+    return result.toString();
+};
 
 class IntegrationTests {
     constructor(options = {}) {
-        this.wsUrl = options.wsUrl || 'wss://localhost:8787/ws';
+        this.wsUrl = options.wsUrl || DEFAULT_WS_URL;
         this.timeout = options.timeout || 30000;
-        this.retryAttempts = options.retryAttempts || 3;
+        this.retryAttempts = options.retryAttempts ?? 3;
+        // Tests of the admin API, of HTTP publishing and of logging in are
+        // skipped without them. `userCredentials` holds "user:password" pairs
+        // separated by commas, like AUTH_USERS.
+        this.adminToken = options.adminToken || null;
+        this.apiKey = options.apiKey || null;
+        this.userCredentials = options.userCredentials || null;
         this.tests = [];
         this.results = [];
         this.globalContext = {};
@@ -109,39 +125,42 @@ class IntegrationTests {
             }
         }
 
+        if (test.options.skip) {
+            console.log(`[SKIP] ${test.options.skip}`);
+            return { name: test.name, passed: false, skipped: true, error: test.options.skip, duration: 0 };
+        }
+
         let result = { name: test.name, passed: false, skipped: false, error: null, duration: 0 };
 
         for (let attempt = 0; attempt <= test.options.retry; attempt++) {
+            // Fresh WebSocket instances for each attempt
+            const primaryWs = new WebSocket(this.wsUrl);
+            const secondaryWs = test.options.requiresSecondary ? new WebSocket(this.wsUrl) : null;
+
             try {
                 const startTime = Date.now();
 
-                // Create fresh WebSocket instances for each test
-                const primaryWs = new WebSocket(this.wsUrl);
-                const secondaryWs = test.options.requiresSecondary ? new WebSocket(this.wsUrl) : null;
-
-                // Wait for connections
-                await Promise.all([
+                // Wait for connections and their welcome messages
+                const [primaryWelcome, secondaryWelcome] = await Promise.all([
                     this.waitForConnection(primaryWs, test.options.timeout),
-                    secondaryWs ? this.waitForConnection(secondaryWs, test.options.timeout) : Promise.resolve()
+                    secondaryWs ? this.waitForConnection(secondaryWs, test.options.timeout) : Promise.resolve(null)
                 ]);
 
                 // Run the test with context
                 const context = {
                     primaryWs,
                     secondaryWs,
+                    primaryWelcome,
+                    secondaryWelcome,
                     testData: this.testData,
                     globalContext: this.globalContext,
                     utils: this.createTestUtils()
                 };
 
-                await test.testFunction(context);
+                await this.withTimeout(test.testFunction(context), test.options.timeout);
 
                 const duration = Date.now() - startTime;
 
-                // Clean up connections
-                if (primaryWs.readyState === WebSocket.OPEN) primaryWs.close();
-                if (secondaryWs && secondaryWs.readyState === WebSocket.OPEN) secondaryWs.close();
-
                 result = {
                     name: test.name,
                     passed: true,
@@ -162,21 +181,33 @@ class IntegrationTests {
                     result.error = error.message;
                     console.log(`[FAIL] ✗ ${error.message}`);
                 }
+            } finally {
+                // Clean up connections, closing normally ends their sessions
+                for (const ws of [primaryWs, secondaryWs]) {
+                    if (ws && ws.readyState === WebSocket.OPEN) ws.close(1000);
+                }
             }
         }
 
         return result;
     }
 
+    // Resolves with the server's welcome message, the first one it sends
     async waitForConnection(ws, timeout = 5000) {
         return new Promise((resolve, reject) => {
             const timer = setTimeout(() => {
                 reject(new Error('Connection timeout'));
             }, timeout);
 
-            ws.once('open', () => {
+            ws.once('message', (data) => {
                 clearTimeout(timer);
-                resolve();
+                try {
+                    const welcome = JSON.parse(data.toString());
+                    assert.strictEqual(welcome.type, 'welcome', 'First message should be welcome');
+                    resolve(welcome);
+                } catch (error) {
+                    reject(error);
+                }
             });
 
             ws.once('error', (error) => {
@@ -186,12 +217,59 @@ class IntegrationTests {
         });
     }
 
+    // Resolves with the HTTP response of an upgrade the server refused
+    waitForRefusal(ws, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error('Wait for refusal timeout'));
+            }, timeout);
+
+            ws.once('unexpected-response', (request, response) => {
+                clearTimeout(timer);
+                resolve(response);
+            });
+            ws.once('open', () => {
+                clearTimeout(timer);
+                ws.close(1000);
+                reject(new Error('The upgrade should be refused'));
+            });
+        });
+    }
+
+    // Resolves with the close code
+    waitForClose(ws, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            if (ws.readyState === WebSocket.CLOSED) {
+                resolve(null);
+                return;
+            }
+            const timer = setTimeout(() => {
+                reject(new Error('Wait for close timeout'));
+            }, timeout);
+
+            ws.once('close', (code) => {
+                clearTimeout(timer);
+                resolve(code);
+            });
+        });
+    }
+
+    withTimeout(promise, timeout) {
+        let timer;
+        return Promise.race([
+            promise,
+            new Promise((_, reject) => {
+                timer = setTimeout(() => reject(new Error(`Test timeout after ${timeout}ms`)), timeout);
+            })
+        ]).finally(() => clearTimeout(timer));
+    }
+
     delay(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
     createTestUtils() {
-        return {
+        const utils = {
             waitForMessage: (ws, predicate, timeout = 5000) => {
                 return new Promise((resolve, reject) => {
                     const timer = setTimeout(() => {
@@ -218,8 +296,26 @@ class IntegrationTests {
             },
 
             sendAndWaitForResponse: async (ws, message, responsePredicate, timeout = 5000) => {
+                const response = utils.waitForMessage(ws, responsePredicate, timeout);
                 ws.send(message);
-                return await this.waitForMessage(ws, responsePredicate, timeout);
+                return await response;
+            },
+
+            // Waits for a JSON message matching the predicate and resolves
+            // with it parsed. Other frames are skipped.
+            waitForJson: async (ws, predicate, timeout = 5000) => {
+                const parse = (message) => {
+                    try {
+                        return JSON.parse(message);
+                    } catch (error) {
+                        return null;
+                    }
+                };
+                const message = await utils.waitForMessage(ws, (msg) => {
+                    const parsed = parse(msg);
+                    return parsed !== null && predicate(parsed);
+                }, timeout);
+                return parse(message);
             },
 
             generateTestData: (type, count = 1) => {
@@ -242,6 +338,7 @@ class IntegrationTests {
                 }
             }
         };
+        return utils;
     }
 
     printSummary() {
@@ -277,159 +374,309 @@ class IntegrationTests {
 
     // Individual test implementations
     async testConnectionEstablishment(context) {
-        const { primaryWs } = context;
+        const { primaryWs, primaryWelcome, utils } = context;
 
         // Verify connection is established
         assert.strictEqual(primaryWs.readyState, WebSocket.OPEN, 'WebSocket should be connected');
+        assert.ok(primaryWelcome.connectionId, 'Welcome should carry a connection id');
+        assert.strictEqual(primaryWelcome.protocolVersion, 1, 'Protocol version 1 should be negotiated');
 
-        // Send a simple ping
-        primaryWs.send('ping');
-
-        // Wait for potential response
-        await new Promise(resolve => {
-            primaryWs.once('message', (data) => {
-                console.log(`[INFO] Received: ${data.toString()}`);
-                resolve();
-            });
-
-            setTimeout(resolve, 1000); // Timeout if no response
-        });
+        // Raw text pings are answered with raw text pongs
+        const response = await utils.sendAndWaitForResponse(primaryWs, 'ping', (msg) => msg === 'pong', 3000);
+        assert.strictEqual(response, 'pong');
     }
 
     async testBasicMessaging(context) {
         const { primaryWs, utils } = context;
 
-        const testMessage = JSON.stringify({
-            type: 'test',
+        const ack = utils.waitForJson(primaryWs, (msg) => msg.type === 'ack', 3000);
+        primaryWs.send(JSON.stringify({
+            type: 'echo',
             content: 'Hello World',
-            testId: this.globalContext.testId
-        });
-
-        primaryWs.send(testMessage);
-
-        // Wait for echo or acknowledgment
-        const response = await utils.waitForMessage(
-            primaryWs,
-            (msg) => msg.includes('Hello World') || msg.includes('ack'),
-            3000
-        );
+            id: this.globalContext.testId
+        }));
 
-        assert.ok(response, 'Should receive response to test message');
+        // The content comes back in an echo, then the message is acknowledged
+        const response = await utils.waitForJson(primaryWs, (msg) => msg.type === 'echo', 3000);
+        assert.strictEqual(response.content, 'Hello World', 'Echo should carry the content');
+        const { id, status } = await ack;
+        assert.strictEqual(id, this.globalContext.testId, 'Ack should carry the message id');
+        assert.strictEqual(status, 'accepted');
     }
 
     async testMultiUserScenario(context) {
         const { primaryWs, secondaryWs, utils } = context;
+        const channel = `multi-user-${this.globalContext.testId}`;
 
-        // Both clients send messages simultaneously
-        const message1 = JSON.stringify({
-            type: 'multi_user_test',
-            content: 'Message from primary',
-            sender: 'primary',
-            testId: this.globalContext.testId
-        });
-
-        const message2 = JSON.stringify({
-            type: 'multi_user_test',
-            content: 'Message from secondary',
-            sender: 'secondary',
-            testId: this.globalContext.testId
-        });
+        // Both clients join a channel
+        await Promise.all([primaryWs, secondaryWs].map(ws => utils.sendAndWaitForResponse(
+            ws,
+            JSON.stringify({ type: 'subscribe', channel }),
+            (msg) => msg.includes('"subscribed"'),
+            3000
+        )));
 
-        // Send messages concurrently
-        const [_, __] = await Promise.all([
-            new Promise(resolve => {
-                primaryWs.send(message1);
-                resolve();
-            }),
-            new Promise(resolve => {
-                secondaryWs.send(message2);
-                resolve();
-            })
+        // Each publishes, and receives the other's message
+        const received = Promise.all([
+            utils.waitForJson(primaryWs, (msg) => msg.type === 'channel_message' && msg.content === 'Message from secondary', 5000),
+            utils.waitForJson(secondaryWs, (msg) => msg.type === 'channel_message' && msg.content === 'Message from primary', 5000)
         ]);
+        primaryWs.send(JSON.stringify({ type: 'publish', channel, content: 'Message from primary', excludeSelf: true }));
+        secondaryWs.send(JSON.stringify({ type: 'publish', channel, content: 'Message from secondary', excludeSelf: true }));
 
-        // Wait for responses from both sides
-        const responsePromises = [
-            utils.waitForMessage(primaryWs, (msg) => msg.includes('secondary'), 5000),
-            utils.waitForMessage(secondaryWs, (msg) => msg.includes('primary'), 5000)
-        ];
-
-        const responses = await Promise.allSettled(responsePromises);
-
-        // At least one should succeed (depending on server implementation)
-        const successfulResponses = responses.filter(r => r.status === 'fulfilled').length;
-        assert.ok(successfulResponses >= 1, 'At least one client should receive the other\'s message');
+        const [fromSecondary, fromPrimary] = await received;
+        assert.strictEqual(fromSecondary.channel, channel);
+        assert.strictEqual(fromPrimary.channel, channel);
+        assert.notStrictEqual(fromPrimary.seq, fromSecondary.seq, 'Channel messages should be numbered');
     }
 
     async testLargeMessageHandling(context) {
         const { primaryWs, utils } = context;
 
-        // Test various message sizes
+        // Test various message sizes below the 64KB frame limit
         const sizes = [1024, 10240, 51200]; // 1KB, 10KB, 50KB
 
         for (const size of sizes) {
-            const largeMessage = JSON.stringify({
-                type: 'large_message_test',
-                content: 'A'.repeat(size),
-                size: size,
-                testId: this.globalContext.testId
-            });
-
             console.log(`[TEST] Sending ${size} byte message`);
 
-            primaryWs.send(largeMessage);
-
-            // Wait for response
-            const response = await utils.waitForMessage(
+            const response = await utils.sendAndWaitForResponse(
                 primaryWs,
-                (msg) => msg.includes('large_message_test'),
+                JSON.stringify({ type: 'echo', content: 'A'.repeat(size) }),
+                (msg) => msg.includes('"echo"'),
                 10000 // Longer timeout for large messages
             );
 
             const parsed = JSON.parse(response);
-            assert.strictEqual(parsed.size, size, `Message size should be preserved: ${size}`);
+            assert.strictEqual(parsed.content.length, size, `Message size should be preserved: ${size}`);
         }
     }
 
     async testConnectionRecovery(context) {
-        const { primaryWs } = context;
-
-        // Send a few messages to establish baseline
-        for (let i = 0; i < 3; i++) {
-            primaryWs.send(JSON.stringify({ type: 'baseline', id: i }));
-            await this.delay(100);
-        }
+        const { primaryWs, primaryWelcome, utils } = context;
 
         // Close and reopen connection
-        primaryWs.close();
-
-        // Wait for closure
-        await new Promise(resolve => {
-            primaryWs.on('close', () => resolve());
-            setTimeout(resolve, 2000);
-        });
+        primaryWs.close(1000);
+        await this.waitForClose(primaryWs);
 
         // Reconnect
         const newWs = new WebSocket(this.wsUrl);
-        await this.waitForConnection(newWs, 5000);
+        try {
+            const welcome = await this.waitForConnection(newWs, 5000);
+            assert.notStrictEqual(welcome.connectionId, primaryWelcome.connectionId, 'A new connection should get a new id');
+            assert.strictEqual(welcome.resumed, false);
+
+            const response = await utils.sendAndWaitForResponse(
+                newWs,
+                JSON.stringify({ type: 'echo', content: 'recovery_test' }),
+                (msg) => msg.includes('recovery_test'),
+                3000
+            );
+            assert.ok(response, 'Should handle reconnection successfully');
+        } finally {
+            newWs.close(1000);
+        }
+    }
 
-        // Send recovery test message
-        newWs.send(JSON.stringify({
-            type: 'recovery_test',
-            originalTestId: this.globalContext.testId
-        }));
+    async testSessionResumption(context) {
+        const { primaryWs, primaryWelcome, secondaryWs, utils } = context;
+        const channel = `resume-${this.globalContext.testId}`;
+
+        await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'subscribe', channel }),
+            (msg) => msg.includes('"subscribed"'),
+            3000
+        );
 
-        const response = await context.utils.waitForMessage(
-            newWs,
-            (msg) => msg.includes('recovery_test'),
+        // Drop the connection without a close frame, as a network failure would
+        primaryWs.terminate();
+        await this.waitForClose(primaryWs);
+        // Give the server time to notice
+        await this.delay(200);
+
+        // Published while the session is detached, so it is queued for it
+        await utils.sendAndWaitForResponse(
+            secondaryWs,
+            JSON.stringify({ type: 'publish', channel, content: 'While you were away' }),
+            (msg) => msg.includes('"published"'),
             3000
         );
 
-        assert.ok(response, 'Should handle reconnection successfully');
-        newWs.close();
+        const resumedWs = new WebSocket(withParams(this.wsUrl, { resume: primaryWelcome.resumeToken }));
+        try {
+            const queued = utils.waitForJson(resumedWs, (msg) => msg.type === 'channel_message', 5000);
+            const welcome = await this.waitForConnection(resumedWs, 5000);
+            assert.strictEqual(welcome.resumed, true, 'Session should be resumed');
+            assert.strictEqual(welcome.connectionId, primaryWelcome.connectionId, 'Connection id should be kept');
+            assert.notStrictEqual(welcome.resumeToken, primaryWelcome.resumeToken, 'Resume token should be replaced');
+
+            const message = await queued;
+            assert.strictEqual(message.content, 'While you were away', 'Queued messages should be delivered');
+        } finally {
+            resumedWs.close(1000);
+        }
     }
 
-    async testMessageOrdering(context) {
+    // Calls an HTTP route for the hub the tests connect to, with the bearer
+    // token when one is given
+    async fetchJson(path, token, init = {}) {
+        const url = new URL(path, this.wsUrl.replace(/^ws/, 'http'));
+        const hub = new URL(this.wsUrl).searchParams.get('hub');
+        if (hub) url.searchParams.set('hub', hub);
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+        const response = await fetch(url, { ...init, headers });
+        return { status: response.status, body: await response.json() };
+    }
+
+    adminFetch(path, init) {
+        return this.fetchJson(path, this.adminToken, init);
+    }
+
+    // Reads Server-Sent Events from GET /events, `next()` resolving with the
+    // following `{ id, event, data }`
+    async openEventStream(query = '') {
+        const url = new URL(`/events${query}`, this.wsUrl.replace(/^ws/, 'http'));
+        const hub = new URL(this.wsUrl).searchParams.get('hub');
+        if (hub) url.searchParams.set('hub', hub);
+        const controller = new AbortController();
+        const response = await fetch(url, { headers: { Accept: 'text/event-stream' }, signal: controller.signal });
+        assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const next = async () => {
+            while (!buffer.includes('\n\n')) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('Event stream ended');
+                buffer += decoder.decode(value, { stream: true });
+            }
+            const end = buffer.indexOf('\n\n');
+            const event = { id: null, event: 'message', data: '' };
+            for (const line of buffer.slice(0, end).split('\n')) {
+                const [field, ...rest] = line.split(': ');
+                if (field === 'data') event.data += rest.join(': ');
+                else if (field === 'id' || field === 'event') event[field] = rest.join(': ');
+            }
+            buffer = buffer.slice(end + 2);
+            return event;
+        };
+        return { next, close: () => controller.abort() };
+    }
+
+    async testEventStreamTransport() {
+        const stream = await this.openEventStream();
+        try {
+            const welcome = JSON.parse((await stream.next()).data);
+            assert.strictEqual(welcome.type, 'welcome', 'The stream should start with a welcome');
+            const session = { connectionId: welcome.connectionId, token: welcome.resumeToken };
+
+            const post = (method, body) => fetch(
+                new URL(`/events/${session.connectionId}?${new URL(this.wsUrl).searchParams}`, this.wsUrl.replace(/^ws/, 'http')),
+                { method, headers: { 'X-Resume-Token': session.token, 'Content-Type': 'text/plain' }, body }
+            );
+
+            const sent = await post('POST', JSON.stringify({ type: 'echo', content: 'over SSE' }));
+            assert.strictEqual(sent.status, 202);
+            const echo = JSON.parse((await stream.next()).data);
+            assert.strictEqual(echo.type, 'echo');
+            assert.strictEqual(echo.content, 'over SSE');
+
+            const closed = await post('DELETE');
+            assert.strictEqual(closed.status, 204);
+            const end = await stream.next();
+            assert.strictEqual(end.event, 'close');
+            assert.strictEqual(JSON.parse(end.data).code, 1000);
+        } finally {
+            stream.close();
+        }
+    }
+
+    // The route picks the transport, not the Accept header
+    async testUpgradeAcceptingEventStream() {
+        const ws = new WebSocket(this.wsUrl, { headers: { Accept: 'text/event-stream' } });
+        try {
+            const welcome = await this.waitForConnection(ws);
+            assert.strictEqual(welcome.type, 'welcome', 'The upgrade should get a WebSocket session');
+        } finally {
+            ws.close(1000);
+        }
+    }
+
+    async testHttpPublish(context) {
         const { primaryWs, utils } = context;
+        const channel = `http-publish-${this.globalContext.testId}`;
+        const path = `/channels/${channel}/messages`;
+
+        await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'subscribe', channel }),
+            (msg) => msg.includes('"subscribed"'),
+            3000
+        );
+
+        const received = utils.waitForJson(primaryWs, (msg) => msg.type === 'channel_message', 3000);
+        const single = await this.fetchJson(path, this.apiKey, {
+            method: 'POST',
+            body: JSON.stringify({ event: 'order_shipped' })
+        });
+        assert.strictEqual(single.status, 200);
+        assert.strictEqual(single.body.delivered, 1, 'The subscriber should receive it');
+        const message = await received;
+        assert.strictEqual(message.messageId, single.body.messageId);
+        assert.deepStrictEqual(message.content, { event: 'order_shipped' });
+
+        const batch = await this.fetchJson(`${path}?batch=true`, this.apiKey, {
+            method: 'POST',
+            body: JSON.stringify(['first', 'second'])
+        });
+        assert.strictEqual(batch.status, 200);
+        assert.strictEqual(batch.body.count, 2);
+        assert.strictEqual(batch.body.messages[1].seq, batch.body.messages[0].seq + 1, 'Batches keep their order');
+
+        const refused = await this.fetchJson(path, 'not-a-key', { method: 'POST', body: '1' });
+        assert.strictEqual(refused.status, 401, 'Unknown keys should be refused');
+        assert.strictEqual(refused.body.code, 'UNAUTHORIZED');
+    }
+
+    async testAdminConnectionApi(context) {
+        const { primaryWs, primaryWelcome, utils } = context;
+        const { connectionId } = primaryWelcome;
+        const path = `/admin/connections/${encodeURIComponent(connectionId)}`;
+
+        const list = await this.adminFetch('/admin/connections');
+        assert.strictEqual(list.status, 200);
+        assert.ok(list.body.connections.some(c => c.connectionId === connectionId), 'Connection should be listed');
+
+        const info = await this.adminFetch(path);
+        assert.strictEqual(info.status, 200);
+        assert.strictEqual(info.body.detachedAt, null, 'Connection should be attached');
+
+        const pushed = utils.waitForJson(primaryWs, (msg) => msg.type === 'admin_message', 3000);
+        const push = await this.adminFetch(`${path}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ content: 'Hello from admin' })
+        });
+        assert.strictEqual(push.status, 200);
+        assert.strictEqual(push.body.queued, false);
+        assert.strictEqual((await pushed).content, 'Hello from admin');
+
+        const closed = this.waitForClose(primaryWs, 3000);
+        const removed = await this.adminFetch(path, {
+            method: 'DELETE',
+            body: JSON.stringify({ code: 4100, reason: 'Test over' })
+        });
+        assert.strictEqual(removed.status, 200);
+        assert.strictEqual(await closed, 4100, 'Connection should close with the chosen code');
+
+        const gone = await this.adminFetch(path);
+        assert.strictEqual(gone.status, 404);
+        assert.strictEqual(gone.body.code, 'NOT_FOUND');
+    }
+
+    async testMessageOrdering(context) {
+        const { primaryWs } = context;
 
         const messageCount = 10;
         const receivedMessages = [];
@@ -438,24 +685,20 @@ class IntegrationTests {
         primaryWs.on('message', (data) => {
             try {
                 const parsed = JSON.parse(data.toString());
-                if (parsed.type === 'ordering_test') {
-                    receivedMessages.push(parsed.order);
+                if (parsed.type === 'echo' && parsed.content.test === 'ordering_test') {
+                    receivedMessages.push(parsed.content.order);
                 }
             } catch (e) {
                 // Ignore non-JSON messages
             }
         });
 
-        // Send ordered messages
+        // Send ordered messages back to back
         for (let i = 0; i < messageCount; i++) {
-            const message = JSON.stringify({
-                type: 'ordering_test',
-                order: i,
-                testId: this.globalContext.testId
-            });
-
-            primaryWs.send(message);
-            await this.delay(50); // Small delay to ensure ordering
+            primaryWs.send(JSON.stringify({
+                type: 'echo',
+                content: { test: 'ordering_test', order: i }
+            }));
         }
 
         // Wait for all responses
@@ -465,57 +708,355 @@ class IntegrationTests {
                     clearInterval(checkInterval);
                     resolve();
                 }
-            }, 100);
+            }, 50);
 
             setTimeout(() => {
                 clearInterval(checkInterval);
                 resolve();
-            }, 10000);
+            }, 5000);
         });
 
-        // Verify ordering (allowing for some out-of-order delivery)
-        assert.ok(receivedMessages.length > 0, 'Should receive some ordered messages');
-
-        // Sort received messages and check if they're mostly in order
-        const sortedReceived = [...receivedMessages].sort((a, b) => a - b);
-        const inOrder = sortedReceived.every((val, idx) => val === idx);
-
+        // Messages of one connection are handled in order
         console.log(`[INFO] Messages received: ${receivedMessages.length}/${messageCount}`);
-        console.log(`[INFO] In-order delivery: ${inOrder ? 'Yes' : 'Partial'}`);
+        assert.deepStrictEqual(receivedMessages, Array.from({ length: messageCount }, (_, i) => i),
+            'Echoes should arrive in the order sent');
     }
 
     async testBroadcastFunctionality(context) {
         const { primaryWs, secondaryWs, utils } = context;
 
-        // Subscribe both clients to broadcast channel
-        const subscribeMsg = JSON.stringify({ type: 'subscribe', channel: 'broadcast' });
-        primaryWs.send(subscribeMsg);
-        secondaryWs.send(subscribeMsg);
-
-        await this.delay(500); // Wait for subscription
+        const received = utils.waitForJson(
+            secondaryWs,
+            (msg) => msg.type === 'broadcast' && msg.content === 'Broadcast message',
+            5000
+        );
+        const sent = utils.waitForJson(primaryWs, (msg) => msg.type === 'broadcast_sent', 5000);
 
         // Send broadcast message from one client
-        const broadcastMsg = JSON.stringify({
+        primaryWs.send(JSON.stringify({
             type: 'broadcast',
             content: 'Broadcast message',
-            sender: 'primary',
-            testId: this.globalContext.testId
+            excludeSelf: true
+        }));
+
+        const [broadcast, report] = await Promise.all([received, sent]);
+        assert.strictEqual(broadcast.broadcastId, report.broadcastId, 'Broadcast and report should match');
+        assert.ok(report.delivered >= 1, 'Broadcast should be delivered to the other client');
+    }
+
+    async testChannelSubscriptions(context) {
+        const { primaryWs, utils } = context;
+        const channel = `channels-${this.globalContext.testId}`;
+        const request = (message, type) => utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify(message),
+            (msg) => JSON.parse(msg).type === type,
+            3000
+        ).then(JSON.parse);
+
+        const subscribed = await request({ type: 'subscribe', channel }, 'subscribed');
+        assert.strictEqual(subscribed.subscribers, 1, 'Subscriber count should include the client');
+
+        const message = utils.waitForJson(primaryWs, (msg) => msg.type === 'channel_message', 3000);
+        const published = await request({ type: 'publish', channel, content: 'To the channel' }, 'published');
+        assert.strictEqual(published.delivered, 1);
+        assert.strictEqual((await message).content, 'To the channel');
+
+        await request({ type: 'unsubscribe', channel }, 'unsubscribed');
+        const error = await request({ type: 'unsubscribe', channel }, 'error');
+        assert.strictEqual(error.code, 'NOT_FOUND', 'Leaving a channel twice should fail');
+    }
+
+    async testPresenceEvents(context) {
+        const { primaryWs, secondaryWs, secondaryWelcome, utils } = context;
+        const channel = `presence-${this.globalContext.testId}`;
+
+        await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'subscribe', channel }),
+            (msg) => msg.includes('"subscribed"'),
+            3000
+        );
+
+        const joined = utils.waitForJson(primaryWs, (msg) => msg.type === 'user_joined' && msg.channel === channel, 3000);
+        secondaryWs.send(JSON.stringify({ type: 'subscribe', channel }));
+        const join = await joined;
+        assert.strictEqual(join.connectionId, secondaryWelcome.connectionId);
+        assert.strictEqual(join.totalUsers, 2, 'Count should include the new subscriber');
+
+        const state = await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'presence', channel }),
+            (msg) => msg.includes('"presence_state"'),
+            3000
+        );
+        assert.ok(JSON.parse(state).users.includes(secondaryWelcome.connectionId), 'Subscriber should be listed');
+
+        const left = utils.waitForJson(primaryWs, (msg) => msg.type === 'user_left' && msg.channel === channel, 3000);
+        secondaryWs.send(JSON.stringify({ type: 'unsubscribe', channel }));
+        const leave = await left;
+        assert.strictEqual(leave.connectionId, secondaryWelcome.connectionId);
+        assert.strictEqual(leave.totalUsers, 1);
+    }
+
+    // The [username, password] pairs of userCredentials
+    get users() {
+        return (this.userCredentials || '').split(',').filter(Boolean).map(pair => pair.split(':'));
+    }
+
+    // Resolves with a token for the user at `index` of userCredentials
+    async login(index) {
+        const [username, password] = this.users[index];
+        const { status, body } = await this.fetchJson('/auth/login', null, {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
         });
+        assert.strictEqual(status, 200, `${username} should log in`);
+        return body.token;
+    }
 
-        primaryWs.send(broadcastMsg);
+    async testJwtAuthentication() {
+        const [username, password] = this.users[0];
+        const login = (body) => this.fetchJson('/auth/login', null, { method: 'POST', body: JSON.stringify(body) });
+
+        const refused = await login({ username, password: `not-${password}` });
+        assert.strictEqual(refused.status, 401);
+        assert.strictEqual(refused.body.code, 'UNAUTHORIZED');
+
+        const { status, body: { token } } = await login({ username, password });
+        assert.strictEqual(status, 200);
+        const me = await this.fetchJson('/auth/me', token);
+        assert.strictEqual(me.status, 200);
+        assert.strictEqual(me.body.user.sub, username);
+
+        // Frames sent right after `auth` are handled once it succeeded
+        const ws = new WebSocket(this.wsUrl);
+        try {
+            await this.waitForConnection(ws);
+            const received = [];
+            const done = new Promise(resolve => {
+                ws.on('message', (data) => {
+                    const message = JSON.parse(data.toString());
+                    received.push(message.type === 'ack' ? `ack:${message.status}` : message.type);
+                    if (message.type === 'subscribed') resolve();
+                });
+            });
+            ws.send(JSON.stringify({ type: 'auth', token, id: 'auth-1' }));
+            ws.send(JSON.stringify({ type: 'subscribe', channel: `auth-${this.globalContext.testId}` }));
+            await done;
+            assert.deepStrictEqual(received, ['authenticated', 'ack:accepted', 'subscribed']);
+        } finally {
+            ws.close(1000);
+        }
+    }
 
-        // Both clients should receive the broadcast
-        const [primaryResponse, secondaryResponse] = await Promise.allSettled([
-            utils.waitForMessage(secondaryWs, (msg) => msg.includes('Broadcast message'), 5000),
-            utils.waitForMessage(primaryWs, (msg) => msg.includes('Broadcast message'), 5000)
-        ]);
+    async testHubStatistics(context) {
+        const { primaryWelcome } = context;
+
+        const stats = await this.adminFetch('/ws-stats');
+        assert.strictEqual(stats.status, 200);
+        assert.strictEqual(stats.body.hub, new URL(this.wsUrl).searchParams.get('hub') || 'default');
+        assert.ok(stats.body.connectionCount >= 1, 'The test connection should be counted');
+
+        const connections = await this.adminFetch('/admin/connections');
+        assert.ok(connections.body.connections.some(c => c.connectionId === primaryWelcome.connectionId));
+    }
+
+    async testHeartbeatMessages(context) {
+        const { primaryWs, utils } = context;
+
+        const before = Date.now();
+        const pong = JSON.parse(await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'ping' }),
+            (msg) => msg.includes('"pong"'),
+            3000
+        ));
+        assert.ok(pong.timestamp >= before, 'Pong should carry the server time');
+    }
+
+    async testDirectMessages(context) {
+        const { primaryWs, secondaryWs, secondaryWelcome, utils } = context;
+        const status = (message) => utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'direct', ...message }),
+            (msg) => msg.includes('"direct_status"') || msg.includes('"error"'),
+            3000
+        ).then(JSON.parse);
+
+        const received = utils.waitForJson(secondaryWs, (msg) => msg.type === 'direct', 3000);
+        const sent = await status({ to: secondaryWelcome.connectionId, content: 'Just for you' });
+        assert.strictEqual(sent.status, 'delivered');
+        const direct = await received;
+        assert.strictEqual(direct.messageId, sent.messageId);
+        assert.strictEqual(direct.content, 'Just for you');
+
+        const offline = await status({ to: 'ws_unknown', content: 'Anyone?' });
+        assert.strictEqual(offline.status, 'offline');
+
+        const anonymous = await status({ toUser: 'someone', content: 'Later', queue: true });
+        assert.strictEqual(anonymous.code, 'UNAUTHORIZED', 'Anonymous senders should not queue');
+    }
+
+    async testQueuedDirectMessages() {
+        const [, [recipient]] = this.users;
+        const sender = new WebSocket(withParams(this.wsUrl, { token: await this.login(0) }));
+        try {
+            await this.waitForConnection(sender);
+            const utils = this.createTestUtils();
+            const status = JSON.parse(await utils.sendAndWaitForResponse(
+                sender,
+                JSON.stringify({ type: 'direct', toUser: recipient, content: 'While you were offline', queue: true }),
+                (msg) => msg.includes('"direct_status"') || msg.includes('"error"'),
+                3000
+            ));
+            assert.strictEqual(status.status, 'queued', `${recipient} should be offline`);
+
+            const receiver = new WebSocket(withParams(this.wsUrl, { token: await this.login(1) }));
+            try {
+                const delivered = utils.waitForJson(
+                    receiver,
+                    (msg) => msg.type === 'direct' && msg.messageId === status.messageId,
+                    5000
+                );
+                await this.waitForConnection(receiver);
+                const direct = await delivered;
+                assert.strictEqual(direct.queued, true, 'The message should be marked as queued');
+                assert.strictEqual(direct.content, 'While you were offline');
+            } finally {
+                receiver.close(1000);
+            }
+        } finally {
+            sender.close(1000);
+        }
+    }
+
+    async testUserInfo(context) {
+        const { primaryWs, primaryWelcome, utils } = context;
+
+        const response = JSON.parse(await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'user_info' }),
+            (msg) => msg.includes('"user_info_response"'),
+            3000
+        ));
+        const parsed = parseServerMessage(response);
+        assert.ok(parsed.ok, 'Response should match the protocol');
+        assert.strictEqual(response.connectionId, primaryWelcome.connectionId);
+        assert.strictEqual(response.userId, null, 'Anonymous connections have no user');
+        assert.ok(response.connectionCount >= 1);
+    }
+
+    async testMessageRouting(context) {
+        const { primaryWs, utils } = context;
+
+        const error = utils.waitForJson(primaryWs, (msg) => msg.type === 'error', 3000);
+        const ack = utils.waitForJson(primaryWs, (msg) => msg.type === 'ack', 3000);
+        primaryWs.send(JSON.stringify({ type: 'no_such_type', id: 'unknown-1' }));
+        assert.strictEqual((await error).code, 'UNKNOWN_TYPE');
+        const { id, status } = await ack;
+        assert.strictEqual(id, 'unknown-1');
+        assert.strictEqual(status, 'rejected');
+
+        const invalid = await utils.sendAndWaitForResponse(
+            primaryWs,
+            JSON.stringify({ type: 'subscribe', channel: 42 }),
+            (msg) => msg.includes('"error"'),
+            3000
+        );
+        assert.strictEqual(JSON.parse(invalid).code, 'INVALID_MESSAGE');
+
+        // JSON that is not an object is handled as text
+        const echo = await utils.sendAndWaitForResponse(primaryWs, '123', (msg) => msg.includes('"echo"'), 3000);
+        assert.strictEqual(JSON.parse(echo).content, '123');
+
+        // Falsy content is content too
+        for (const content of [0, false, '']) {
+            const falsy = await utils.sendAndWaitForResponse(
+                primaryWs,
+                JSON.stringify({ type: 'echo', content }),
+                (msg) => msg.includes('"echo"'),
+                3000
+            );
+            assert.strictEqual(JSON.parse(falsy).content, content);
+        }
+    }
+
+    async testVersionNegotiation() {
+        const ws = new WebSocket(this.wsUrl, [versionProtocol(1)]);
+        try {
+            const welcome = await this.waitForConnection(ws);
+            assert.strictEqual(ws.protocol, 'cfws.v1', 'The subprotocol should be selected');
+            assert.strictEqual(welcome.protocolVersion, 1);
+        } finally {
+            ws.close(1000);
+        }
+
+        const unsupported = new WebSocket(withParams(this.wsUrl, { version: 99 }));
+        assert.strictEqual(await this.waitForClose(unsupported), CLOSE_UNSUPPORTED_VERSION,
+            'Unsupported versions should close with 4002');
+    }
+
+    async testMessagePackEncoding() {
+        const ws = new WebSocket(withParams(this.wsUrl, { encoding: 'msgpack' }));
+        const next = () => new Promise((resolve, reject) => {
+            ws.once('message', (data, isBinary) => {
+                try {
+                    assert.ok(isBinary, 'MessagePack messages should be binary frames');
+                    resolve(msgpackCodec.decode(data));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+        try {
+            const welcome = await next();
+            assert.strictEqual(welcome.type, 'welcome');
+            assert.strictEqual(welcome.encoding, 'msgpack');
+
+            const echo = next();
+            ws.send(msgpackCodec.encode({ type: 'echo', content: { bytes: new Uint8Array([1, 2, 3]) } }));
+            const { type, content } = await echo;
+            assert.strictEqual(type, 'echo');
+            assert.deepStrictEqual([...content.bytes], [1, 2, 3], 'Bytes should survive the round trip');
+        } finally {
+            ws.close(1000);
+        }
+    }
 
-        const receivedBySecondary = primaryResponse.status === 'fulfilled';
-        const receivedByPrimary = secondaryResponse.status === 'fulfilled';
+    async testChannelHistoryReplay(context) {
+        const { primaryWs, secondaryWs, utils } = context;
+        const channel = `history-${this.globalContext.testId}`;
+
+        // Published back to back, numbered in the order they were sent
+        const published = new Promise(resolve => {
+            const seqs = [];
+            primaryWs.on('message', (data) => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'published' && seqs.push(message.seq) === 3) resolve(seqs);
+            });
+        });
+        for (const content of ['first', 'second', 'third']) {
+            primaryWs.send(JSON.stringify({ type: 'publish', channel, content }));
+        }
+        const seqs = await published;
+        assert.deepStrictEqual(seqs, [seqs[0], seqs[0] + 1, seqs[0] + 2], 'Sequence numbers should follow each other');
 
-        // At least the secondary should receive it (broadcast behavior)
-        assert.ok(receivedBySecondary || receivedByPrimary,
-            'Broadcast message should be received by at least one other client');
+        const replayed = [];
+        secondaryWs.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            if (message.type === 'channel_message' && message.replayed) replayed.push(message.content);
+        });
+        const subscribed = JSON.parse(await utils.sendAndWaitForResponse(
+            secondaryWs,
+            JSON.stringify({ type: 'subscribe', channel, since: seqs[0] - 1 }),
+            (msg) => msg.includes('"subscribed"'),
+            3000
+        ));
+        assert.deepStrictEqual(replayed, ['first', 'second', 'third'], 'Missed messages should be replayed in order');
+        assert.strictEqual(subscribed.replayed, 3);
+        assert.strictEqual(subscribed.truncated, false);
+        assert.strictEqual(subscribed.seq, seqs[2]);
     }
 
     async runAllTests() {
@@ -532,11 +1073,46 @@ class IntegrationTests {
             timeout: 15000
         });
         this.addTest('Connection Recovery', this.testConnectionRecovery.bind(this));
+        this.addTest('Session Resumption', this.testSessionResumption.bind(this), {
+            requiresSecondary: true
+        });
         this.addTest('Message Ordering', this.testMessageOrdering.bind(this));
+        this.addTest('Admin Connection API', this.testAdminConnectionApi.bind(this), {
+            skip: this.adminToken ? null : 'No admin token'
+        });
+        this.addTest('Event Stream Transport', this.testEventStreamTransport.bind(this));
+        this.addTest('Upgrade Accepting Event Streams', this.testUpgradeAcceptingEventStream.bind(this));
+        this.addTest('HTTP Publish', this.testHttpPublish.bind(this), {
+            skip: this.apiKey ? null : 'No API key'
+        });
         this.addTest('Broadcast Functionality', this.testBroadcastFunctionality.bind(this), {
             requiresSecondary: true,
             timeout: 10000
         });
+        this.addTest('Channel Subscriptions', this.testChannelSubscriptions.bind(this));
+        this.addTest('Presence Events', this.testPresenceEvents.bind(this), {
+            requiresSecondary: true
+        });
+        this.addTest('JWT Authentication', this.testJwtAuthentication.bind(this), {
+            skip: this.userCredentials ? null : 'No user credentials'
+        });
+        this.addTest('Hub Statistics', this.testHubStatistics.bind(this), {
+            skip: this.adminToken ? null : 'No admin token'
+        });
+        this.addTest('Heartbeat Messages', this.testHeartbeatMessages.bind(this));
+        this.addTest('Direct Messages', this.testDirectMessages.bind(this), {
+            requiresSecondary: true
+        });
+        this.addTest('Queued Direct Messages', this.testQueuedDirectMessages.bind(this), {
+            skip: this.users.length >= 2 ? null : 'Needs two user credentials'
+        });
+        this.addTest('User Info', this.testUserInfo.bind(this));
+        this.addTest('Message Routing', this.testMessageRouting.bind(this));
+        this.addTest('Protocol Version Negotiation', this.testVersionNegotiation.bind(this));
+        this.addTest('MessagePack Encoding', this.testMessagePackEncoding.bind(this));
+        this.addTest('Channel History Replay', this.testChannelHistoryReplay.bind(this), {
+            requiresSecondary: true
+        });
 
         return await this.runTests();
     }
@@ -574,30 +1150,179 @@ class IntegrationTests {
         return await this.runTests();
     }
 
-    // Security integration tests
+    // Security integration tests. They expect the server's default limits:
+    // 64KB frames, depth 32, 20 messages per second and 3 limit violations.
     async runSecurityIntegrationTests() {
         this.addTest('Invalid Message Handling', async (context) => {
             const { primaryWs, utils } = context;
 
             // Send various invalid messages
             const invalidMessages = [
-                '{"invalid": json}', // Invalid JSON
+                '{"invalid": json}', // Invalid JSON, handled as text
                 '', // Empty message
                 'x'.repeat(1000000), // Extremely large message
                 '\u0000\u0001\u0002', // Control characters
             ];
 
             for (const invalidMsg of invalidMessages) {
-                try {
-                    primaryWs.send(invalidMsg);
-                    // Should not crash the connection
-                    await this.delay(100);
-                    assert.strictEqual(primaryWs.readyState, WebSocket.OPEN, 'Connection should remain open');
-                } catch (error) {
-                    // Acceptable to fail sending, but connection should survive
-                    assert.ok(true, 'Sending invalid message is acceptable to fail');
+                // Every message is answered, with an echo or an error
+                const response = await utils.sendAndWaitForResponse(
+                    primaryWs,
+                    invalidMsg,
+                    (msg) => msg.includes('"echo"') || msg.includes('"error"'),
+                    3000
+                );
+                assert.ok(response, 'Invalid message should be answered');
+                assert.strictEqual(primaryWs.readyState, WebSocket.OPEN, 'Connection should remain open');
+            }
+        });
+
+        this.addTest('Oversized Message Rejection', async (context) => {
+            const { primaryWs, primaryWelcome, utils } = context;
+            const { maxBytes } = primaryWelcome.limits;
+
+            const error = utils.waitForJson(primaryWs, (msg) => msg.type === 'error', 3000);
+            primaryWs.send(JSON.stringify({ type: 'echo', content: 'x'.repeat(maxBytes) }));
+
+            const { code, limits } = await error;
+            assert.strictEqual(code, 'MESSAGE_TOO_LARGE');
+            assert.deepStrictEqual(limits, primaryWelcome.limits, 'Error should carry the limits');
+        });
+
+        this.addTest('Nesting Depth Limit', async (context) => {
+            const { primaryWs, primaryWelcome, utils } = context;
+            const { maxDepth } = primaryWelcome.limits;
+            assert.ok(maxDepth !== null, 'Server should limit nesting depth');
+
+            let content = 'deep';
+            for (let i = 0; i < maxDepth; i++) {
+                content = { nested: content };
+            }
+            const error = utils.waitForJson(primaryWs, (msg) => msg.type === 'error', 3000);
+            primaryWs.send(JSON.stringify({ type: 'echo', content }));
+
+            const { code, message } = await error;
+            assert.strictEqual(code, 'MESSAGE_TOO_LARGE');
+            assert.ok(message.includes('nested'), `Unexpected error: ${message}`);
+        });
+
+        this.addTest('Repeated Limit Violations Close Connection', async (context) => {
+            const { primaryWs, primaryWelcome } = context;
+            const oversized = 'x'.repeat(primaryWelcome.limits.maxBytes + 1);
+
+            const closed = this.waitForClose(primaryWs, 5000);
+            for (let i = 0; i < 10 && primaryWs.readyState === WebSocket.OPEN; i++) {
+                primaryWs.send(oversized);
+                await this.delay(20);
+            }
+            assert.strictEqual(await closed, 1009, 'Connection should close with 1009');
+        });
+
+        this.addTest('Rate Limiting', async (context) => {
+            const { primaryWs, utils } = context;
+
+            const limited = utils.waitForJson(
+                primaryWs,
+                (msg) => msg.type === 'error' && msg.code === 'RATE_LIMITED',
+                5000
+            );
+            const rejected = utils.waitForJson(primaryWs, (msg) => msg.type === 'ack' && msg.status === 'rejected', 5000);
+            const closed = this.waitForClose(primaryWs, 5000);
+
+            // Far beyond the burst of two seconds worth of messages
+            for (let i = 0; i < 100 && primaryWs.readyState === WebSocket.OPEN; i++) {
+                primaryWs.send(JSON.stringify({ type: 'echo', content: i, id: `flood-${i}` }));
+            }
+
+            const error = await limited;
+            assert.strictEqual(typeof error.retryAfterMs, 'number', 'Error should carry retryAfterMs');
+            const ack = await rejected;
+            assert.strictEqual(ack.code, 'RATE_LIMITED', 'Dropped messages should be acknowledged as rate limited');
+            assert.strictEqual(ack.id, error.id, 'Error and ack should carry the message id');
+            assert.strictEqual(await closed, 1008, 'Persistent flooding should close with 1008');
+        });
+
+        this.addTest('Invalid Token Rejected', async () => {
+            const ws = new WebSocket(withParams(this.wsUrl, { token: 'not-a-jwt' }));
+            const error = new Promise(resolve => {
+                ws.on('message', (data) => {
+                    const message = JSON.parse(data.toString());
+                    if (message.type === 'error') resolve(message);
+                });
+            });
+
+            assert.strictEqual(await this.waitForClose(ws, 5000), 4001, 'Connection should close with 4001');
+            assert.strictEqual((await error).code, 'UNAUTHORIZED');
+        });
+
+        this.addTest('Reserved Hub Names Refused', async () => {
+            const ws = new WebSocket(withParams(this.wsUrl, { hub: 'upgrade-limits:127.0.0.1' }));
+            const { statusCode } = await this.waitForRefusal(ws);
+            assert.strictEqual(statusCode, 400, 'Limiter hubs should not take connections');
+        });
+
+        this.addTest('Admin Routes Require Credentials', async () => {
+            const statsUrl = new URL('/ws-stats', this.wsUrl.replace(/^ws/, 'http'));
+            const response = await fetch(statsUrl);
+            assert.strictEqual(response.status, 401, 'Stats should need an admin token');
+            assert.strictEqual((await response.json()).code, 'UNAUTHORIZED');
+        });
+
+        return await this.runTests();
+    }
+
+    // Expects a server with a short HEARTBEAT_INTERVAL_MS that requires
+    // authentication, and user credentials for it
+    async runTimeoutTests() {
+        const anonymousUrl = this.wsUrl;
+        this.wsUrl = withParams(this.wsUrl, { token: await this.login(0) });
+
+        this.addTest('Idle Connection Closed', async (context) => {
+            const { primaryWs } = context;
+
+            // Server pings go unanswered
+            assert.strictEqual(await this.waitForClose(primaryWs, 5000), 1001, 'Idle sockets should close with 1001');
+        });
+
+        this.addTest('Authentication Deadline', async () => {
+            const ws = new WebSocket(anonymousUrl);
+            const error = this.createTestUtils().waitForJson(ws, (msg) => msg.type === 'error', 5000);
+
+            assert.strictEqual(await this.waitForClose(ws, 5000), 4001, 'Sockets that never authenticate should close with 4001');
+            const { code, message } = await error;
+            assert.strictEqual(code, 'UNAUTHORIZED');
+            assert.strictEqual(message, 'Authentication timeout');
+        });
+
+        return await this.runTests();
+    }
+
+    // Expects a server allowing only a few upgrades per minute
+    async runUpgradeLimitTests() {
+        this.addTest('Upgrade Rate Limiting', async () => {
+            // The upgrade of the test's own connection counts too
+            for (let i = 0; i < 10; i++) {
+                const ws = new WebSocket(this.wsUrl);
+                const refused = await new Promise((resolve, reject) => {
+                    ws.once('open', () => resolve(null));
+                    ws.once('unexpected-response', (request, response) => resolve(response));
+                    ws.once('error', reject);
+                });
+                if (!refused) {
+                    ws.close(1000);
+                    continue;
                 }
+
+                assert.strictEqual(refused.statusCode, 429);
+                assert.ok(Number(refused.headers['retry-after']) >= 1, 'Response should carry Retry-After');
+                const chunks = [];
+                for await (const chunk of refused) chunks.push(chunk);
+                const body = JSON.parse(Buffer.concat(chunks).toString());
+                assert.strictEqual(body.code, 'RATE_LIMITED');
+                assert.ok(body.retryAfterMs > 0, 'Body should carry retryAfterMs');
+                return;
             }
+            assert.fail('Upgrades should be refused beyond the limit');
         });
 
         return await this.runTests();
@@ -609,13 +1334,18 @@ export default IntegrationTests;
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
     const args = process.argv.slice(2);
-    const wsUrl = args[0] || 'wss://localhost:8787/ws';
+    const wsUrl = args[0] || DEFAULT_WS_URL;
     const testType = args[1] || 'all';
 
     console.log(`[INFO] Running integration tests against: ${wsUrl}`);
     console.log(`[INFO] Test type: ${testType}\n`);
 
-    const tester = new IntegrationTests({ wsUrl });
+    const tester = new IntegrationTests({
+        wsUrl,
+        adminToken: process.env.ADMIN_TOKEN,
+        apiKey: process.env.API_KEY,
+        userCredentials: process.env.AUTH_USER
+    });
 
     let testPromise;
     switch (testType) {
@@ -640,4 +1370,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         console.error('[ERROR] Integration tests failed:', error);
         process.exit(1);
     });
-}
\ No newline at end of file
+}
@@ -1,36 +1,44 @@
 import WebSocket from 'ws';
 import assert from 'assert';
+import { DEFAULT_WS_URL } from './integration-tests.js';
 
 class MessageTypeTests {
-    constructor(wsUrl) {
+    constructor(wsUrl = DEFAULT_WS_URL) {
         this.wsUrl = wsUrl;
         this.tests = [];
         this.results = [];
+        // Frames not yet taken by waitForMessage
+        this.receivedMessages = [];
     }
 
+    // Resolves once the server's welcome message arrived
     async connect() {
         return new Promise((resolve, reject) => {
             this.ws = new WebSocket(this.wsUrl);
 
-            this.ws.on('open', () => {
-                console.log('[CONNECTED] WebSocket connected for message type tests');
-                resolve();
-            });
-
             this.ws.on('error', (error) => {
                 console.error('[ERROR] Connection failed:', error.message);
                 reject(error);
             });
 
-            this.ws.on('message', (data) => {
-                this.handleReceivedMessage(data);
+            this.ws.once('message', (data) => {
+                this.welcome = JSON.parse(data.toString());
+                console.log('[CONNECTED] WebSocket connected for message type tests');
+                this.ws.on('message', (data, isBinary) => {
+                    this.handleReceivedMessage(data, isBinary);
+                });
+                resolve();
             });
         });
     }
 
-    handleReceivedMessage(data) {
+    handleReceivedMessage(data, isBinary) {
+        // Server heartbeats are not replies
+        if (!isBinary && data.toString().startsWith('{"type":"ping"')) {
+            return;
+        }
         // Store received message for validation
-        this.lastReceivedMessage = data;
+        this.receivedMessages.push(data);
         this.receiveTimestamp = Date.now();
     }
 
@@ -44,19 +52,23 @@ class MessageTypeTests {
         await this.connect();
 
         for (const test of this.tests) {
+            // Late replies of a failed test must not answer the next one
+            this.receivedMessages = [];
+            const startTime = Date.now();
             try {
                 console.log(`[TEST] Running: ${test.name}`);
                 await test.testFunction.call(this);
-                this.results.push({ name: test.name, status: 'PASS', error: null });
+                this.results.push({ name: test.name, status: 'PASS', error: null, duration: Date.now() - startTime });
                 console.log('[RESULT] ✓ PASS\n');
             } catch (error) {
-                this.results.push({ name: test.name, status: 'FAIL', error: error.message });
+                this.results.push({ name: test.name, status: 'FAIL', error: error.message, duration: Date.now() - startTime });
                 console.log(`[RESULT] ✗ FAIL: ${error.message}\n`);
             }
         }
 
         this.printSummary();
-        this.ws.close();
+        this.ws.close(1000);
+        return this.results;
     }
 
     printSummary() {
@@ -80,7 +92,8 @@ class MessageTypeTests {
         console.log('Success Rate:', ((passed / this.results.length) * 100).toFixed(2) + '%');
     }
 
-    // Test functions
+    // Test functions. Text frames and `echo` messages come back as
+    // `{"type": "echo", "content": ...}`, binary frames come back unchanged.
     async testTextMessage() {
         const testMessage = 'Hello World';
         const startTime = Date.now();
@@ -88,19 +101,18 @@ class MessageTypeTests {
         this.ws.send(testMessage);
 
         // Wait for response or timeout
-        await this.waitForMessage(5000);
+        const echo = await this.waitForEcho(5000);
 
-        assert.strictEqual(this.lastReceivedMessage.toString(), testMessage,
-            `Expected "${testMessage}", got "${this.lastReceivedMessage}"`);
+        assert.strictEqual(echo.content, testMessage,
+            `Expected "${testMessage}", got "${echo.content}"`);
 
         console.log(`[DEBUG] Text message round-trip time: ${Date.now() - startTime}ms`);
     }
 
     async testJSONMessage() {
         const testMessage = {
-            type: 'test',
-            timestamp: Date.now(),
-            data: {
+            type: 'echo',
+            content: {
                 string: 'hello',
                 number: 123,
                 boolean: true,
@@ -114,12 +126,9 @@ class MessageTypeTests {
 
         this.ws.send(jsonString);
 
-        // Wait for response
-        await this.waitForMessage(5000);
-
-        // Parse received message and compare
-        const receivedObj = JSON.parse(this.lastReceivedMessage.toString());
-        assert.deepStrictEqual(receivedObj, testMessage,
+        // Wait for response and compare the content
+        const echo = await this.waitForEcho(5000);
+        assert.deepStrictEqual(echo.content, testMessage.content,
             'JSON objects do not match');
 
         console.log(`[DEBUG] JSON message round-trip time: ${Date.now() - startTime}ms`);
@@ -131,7 +140,7 @@ class MessageTypeTests {
             {
                 name: 'ArrayBuffer',
                 data: new ArrayBuffer(16),
-                validator: (received) => received instanceof Buffer
+                validator: (received) => received instanceof Buffer && received.length === 16
             },
             {
                 name: 'TypedArray',
@@ -156,7 +165,7 @@ class MessageTypeTests {
                     return buffer;
                 })(),
                 validator: (received) => {
-                    const view = new DataView(received.buffer || received);
+                    const view = new DataView(received.buffer, received.byteOffset, received.byteLength);
                     return view.getUint32(0) === 12345 && view.getUint32(4) === 67890;
                 }
             }
@@ -168,9 +177,9 @@ class MessageTypeTests {
             const startTime = Date.now();
             this.ws.send(testCase.data);
 
-            await this.waitForMessage(5000);
+            const received = await this.waitForMessage(5000);
 
-            assert(testCase.validator(this.lastReceivedMessage),
+            assert(testCase.validator(received),
                 `${testCase.name} validation failed`);
 
             console.log(`[DEBUG] ${testCase.name} round-trip time: ${Date.now() - startTime}ms`);
@@ -178,7 +187,8 @@ class MessageTypeTests {
     }
 
     async testLargeMessage() {
-        const sizes = [1024, 10240, 102400]; // 1KB, 10KB, 100KB
+        // Up to the server's frame limit, 64KB by default
+        const sizes = [1024, 10240, this.welcome.limits.maxBytes];
 
         for (const size of sizes) {
             const largeMessage = 'A'.repeat(size);
@@ -188,9 +198,9 @@ class MessageTypeTests {
 
             this.ws.send(largeMessage);
 
-            await this.waitForMessage(10000); // Longer timeout for large messages
+            const echo = await this.waitForEcho(10000); // Longer timeout for large messages
 
-            assert.strictEqual(this.lastReceivedMessage.toString(), largeMessage,
+            assert.strictEqual(echo.content, largeMessage,
                 `Large message (${size} bytes) does not match`);
 
             const roundTripTime = Date.now() - startTime;
@@ -216,9 +226,9 @@ class MessageTypeTests {
             const startTime = Date.now();
             this.ws.send(message);
 
-            await this.waitForMessage(5000);
+            const echo = await this.waitForEcho(5000);
 
-            assert.strictEqual(this.lastReceivedMessage.toString(), message,
+            assert.strictEqual(echo.content, message,
                 `Special character message does not match`);
 
             console.log(`[DEBUG] Special char round-trip time: ${Date.now() - startTime}ms`);
@@ -226,6 +236,7 @@ class MessageTypeTests {
     }
 
     async testMessageSequences() {
+        // JSON without a type is echoed as the text it was sent as
         const sequence = [
             'Message 1',
             JSON.stringify({ seq: 1, data: 'first' }),
@@ -239,13 +250,14 @@ class MessageTypeTests {
             console.log(`[SUBTEST] Sequence message ${i + 1}`);
 
             this.ws.send(message);
-            await this.waitForMessage(5000);
 
             if (typeof message === 'string') {
-                assert.strictEqual(this.lastReceivedMessage.toString(), message,
+                const echo = await this.waitForEcho(5000);
+                assert.strictEqual(echo.content, message,
                     `Sequence message ${i + 1} does not match`);
             } else if (Buffer.isBuffer(message)) {
-                assert(this.lastReceivedMessage.equals(message),
+                const received = await this.waitForMessage(5000);
+                assert(received.equals(message),
                     `Binary sequence message ${i + 1} does not match`);
             }
         }
@@ -253,40 +265,29 @@ class MessageTypeTests {
 
     async testConcurrentMessages() {
         const concurrentCount = 10;
-        const promises = [];
+        const sent = Array.from({ length: concurrentCount }, (_, i) => `Concurrent message ${i}`);
 
         console.log(`[SUBTEST] Sending ${concurrentCount} concurrent messages`);
 
+        sent.forEach(message => this.ws.send(message));
+
+        const received = [];
         for (let i = 0; i < concurrentCount; i++) {
-            const message = `Concurrent message ${i}`;
-            promises.push(
-                new Promise((resolve, reject) => {
-                    this.ws.send(message);
-
-                    const timeout = setTimeout(() => {
-                        reject(new Error(`Timeout waiting for message ${i}`));
-                    }, 5000);
-
-                    // Simple response tracking for concurrent test
-                    setTimeout(() => {
-                        clearTimeout(timeout);
-                        resolve(message);
-                    }, 100);
-                })
-            );
+            received.push((await this.waitForEcho(5000)).content);
         }
 
-        await Promise.all(promises);
+        assert.deepStrictEqual(received, sent, 'Every concurrent message should be echoed in order');
         console.log(`[DEBUG] Successfully handled ${concurrentCount} concurrent messages`);
     }
 
+    // Resolves with the oldest frame not taken yet
     async waitForMessage(timeout = 5000) {
         return new Promise((resolve, reject) => {
             const startTime = Date.now();
             const checkInterval = setInterval(() => {
-                if (this.lastReceivedMessage) {
+                if (this.receivedMessages.length > 0) {
                     clearInterval(checkInterval);
-                    resolve(this.lastReceivedMessage);
+                    resolve(this.receivedMessages.shift());
                 } else if (Date.now() - startTime > timeout) {
                     clearInterval(checkInterval);
                     reject(new Error('Timeout waiting for message'));
@@ -295,6 +296,14 @@ class MessageTypeTests {
         });
     }
 
+    // Resolves with the next frame as an echo message, failing on anything else
+    async waitForEcho(timeout = 5000) {
+        const message = JSON.parse((await this.waitForMessage(timeout)).toString());
+        assert.strictEqual(message.type, 'echo',
+            `Expected an echo, got ${message.type}${message.message ? `: ${message.message}` : ''}`);
+        return message;
+    }
+
     async runAllTests() {
         // Add all test cases
         this.addTest('Text Message Test', this.testTextMessage);
@@ -305,19 +314,25 @@ class MessageTypeTests {
         this.addTest('Message Sequence Test', this.testMessageSequences);
         this.addTest('Concurrent Messages Test', this.testConcurrentMessages);
 
-        await this.runTests();
+        return await this.runTests();
     }
 }
 
 // CLI interface
 if (import.meta.url === `file://${process.argv[1]}`) {
     const args = process.argv.slice(2);
-    const wsUrl = args[0] || 'wss://localhost:8787/ws';
+    const wsUrl = args[0] || DEFAULT_WS_URL;
 
     console.log(`[INFO] Running message type tests against: ${wsUrl}\n`);
 
     const tester = new MessageTypeTests(wsUrl);
-    tester.runAllTests().catch(console.error);
+    tester.runAllTests().then(results => {
+        const failed = results.filter(r => r.status === 'FAIL').length;
+        process.exit(failed > 0 ? 1 : 0);
+    }).catch(error => {
+        console.error('[ERROR] Message type tests failed:', error);
+        process.exit(1);
+    });
 }
 
 export default MessageTypeTests;
\ No newline at end of file
@@ -0,0 +1,64 @@
+// Test reports for CI. Results are `{ suite, name, passed, skipped, error, duration }`
+// with `duration` in milliseconds.
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+// TAP version 13, failures carry their error in a YAML block
+export function toTap(results) {
+    const lines = ['TAP version 13', `1..${results.length}`];
+    results.forEach((result, index) => {
+        const description = `${result.suite}: ${result.name}`;
+        if (result.skipped) {
+            lines.push(`ok ${index + 1} - ${description} # SKIP ${result.error || ''}`.trimEnd());
+        } else if (result.passed) {
+            lines.push(`ok ${index + 1} - ${description}`);
+        } else {
+            lines.push(`not ok ${index + 1} - ${description}`);
+            lines.push('  ---');
+            lines.push(`  message: ${JSON.stringify(result.error || 'Failed')}`);
+            lines.push(`  duration_ms: ${result.duration || 0}`);
+            lines.push('  ...');
+        }
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+// JUnit XML with one <testsuite> per suite
+export function toJUnit(results) {
+    const suites = new Map();
+    for (const result of results) {
+        if (!suites.has(result.suite)) suites.set(result.suite, []);
+        suites.get(result.suite).push(result);
+    }
+
+    const count = (list, predicate) => list.filter(predicate).length;
+    const failed = (result) => !result.passed && !result.skipped;
+    const total = (list) => list.reduce((sum, result) => sum + (result.duration || 0), 0);
+
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${results.length}" failures="${count(results, failed)}" skipped="${count(results, r => r.skipped)}" time="${seconds(total(results))}">`
+    ];
+    for (const [suite, list] of suites) {
+        lines.push(`  <testsuite name="${escapeXml(suite)}" tests="${list.length}" failures="${count(list, failed)}" skipped="${count(list, r => r.skipped)}" time="${seconds(total(list))}">`);
+        for (const result of list) {
+            const testcase = `    <testcase classname="${escapeXml(suite)}" name="${escapeXml(result.name)}" time="${seconds(result.duration)}"`;
+            if (result.skipped) {
+                lines.push(`${testcase}>`, `      <skipped message="${escapeXml(result.error || '')}"/>`, '    </testcase>');
+            } else if (failed(result)) {
+                lines.push(`${testcase}>`, `      <failure message="${escapeXml(result.error || 'Failed')}"/>`, '    </testcase>');
+            } else {
+                lines.push(`${testcase}/>`);
+            }
+        }
+        lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+}
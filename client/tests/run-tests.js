@@ -0,0 +1,155 @@
+// Runs the integration, message type and security suites against a server
+// started in this process on an ephemeral port, or against --url. Suites
+// that need other server settings get a server of their own and are skipped
+// against --url. Prints a TAP report and exits with 1 when a test failed.
+//
+//   pnpm test [-- --junit results.xml] [--tap results.tap] [--url ws://...] [--verbose]
+//
+// The server is TypeScript, so run this with tsx (as `pnpm test` does).
+// Against --url, the admin API tests use ADMIN_TOKEN, the HTTP publish test
+// API_KEY and the login tests AUTH_USER ("user:password" pairs separated by
+// commas, two for the queued direct message test); each is skipped without
+// its variable.
+import { promises as fs } from 'fs';
+import { parseArgs } from 'util';
+import IntegrationTests from './integration-tests.js';
+import MessageTypeTests from './message-type-tests.js';
+import { toJUnit, toTap } from './reporters.js';
+
+const { values: options } = parseArgs({
+    options: {
+        url: { type: 'string' },
+        junit: { type: 'string' },
+        tap: { type: 'string' },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+// Fixed settings, so results do not depend on the caller's environment.
+// The security suite relies on the default message limits. Upgrades are
+// counted per IP across hubs, and every test connects from 127.0.0.1.
+const SERVER_ENV = {
+    JWT_SECRET: 'test-secret',
+    ADMIN_TOKEN: 'test-admin-token',
+    API_KEYS: 'test-api-key',
+    AUTH_USERS: 'tester:test-password,receiver:test-password',
+    RATE_LIMIT_UPGRADES_PER_MINUTE: '600'
+};
+
+async function startServer(env) {
+    const { createApp } = await import('../../src/app.ts');
+    const { createNodeServer, nodeEnv } = await import('../../src/runtime/node.ts');
+
+    const server = createNodeServer({ app: createApp(), env: nodeEnv({ ...SERVER_ENV, ...env }) });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', resolve);
+    });
+    const { port } = server.address();
+    return { server, url: `ws://127.0.0.1:${port}/websocket` };
+}
+
+// Every suite gets its own hub, so their connections do not meet
+const hubUrl = (url, hub) => {
+    const result = new URL(url);
+    result.searchParams.set('hub', hub);
+    return result.toString();
+};
+
+const suites = [
+    {
+        name: 'integration',
+        run: (wsUrl, credentials) => new IntegrationTests({ wsUrl, ...credentials, retryAttempts: 0 }).runAllTests()
+    },
+    {
+        name: 'message-types',
+        run: (wsUrl) => new MessageTypeTests(wsUrl).runAllTests()
+    },
+    {
+        name: 'security',
+        run: (wsUrl) => new IntegrationTests({ wsUrl, retryAttempts: 0 }).runSecurityIntegrationTests()
+    },
+    {
+        name: 'timeouts',
+        env: { HEARTBEAT_INTERVAL_MS: '300', WS_AUTH_REQUIRED: 'true' },
+        run: (wsUrl, credentials) => new IntegrationTests({ wsUrl, ...credentials, retryAttempts: 0 }).runTimeoutTests()
+    },
+    {
+        name: 'upgrade-limits',
+        env: { RATE_LIMIT_UPGRADES_PER_MINUTE: '3' },
+        run: (wsUrl) => new IntegrationTests({ wsUrl, retryAttempts: 0 }).runUpgradeLimitTests()
+    }
+];
+
+async function main() {
+    // Progress output of the suites and server logs stay out of the report
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = console.info = console.warn = () => { };
+    }
+
+    const started = options.url ? null : await startServer({});
+    const url = options.url || started.url;
+    // Against --url, admin and publish tests need the server's credentials
+    // from the environment
+    const credentials = options.url
+        ? { adminToken: process.env.ADMIN_TOKEN, apiKey: process.env.API_KEY, userCredentials: process.env.AUTH_USER }
+        : { adminToken: SERVER_ENV.ADMIN_TOKEN, apiKey: SERVER_ENV.API_KEYS, userCredentials: SERVER_ENV.AUTH_USERS };
+
+    const results = [];
+    for (const suite of suites) {
+        if (suite.env && options.url) {
+            results.push({ suite: suite.name, name: 'Suite setup', passed: false, skipped: true, error: 'Needs its own server settings', duration: 0 });
+            continue;
+        }
+        const startTime = Date.now();
+        const own = suite.env ? await startServer(suite.env) : null;
+        try {
+            const suiteResults = await suite.run(hubUrl(own ? own.url : url, `test-${suite.name}`), credentials);
+            for (const result of suiteResults) {
+                results.push({
+                    suite: suite.name,
+                    name: result.name,
+                    passed: result.passed ?? result.status === 'PASS',
+                    skipped: Boolean(result.skipped),
+                    error: result.error,
+                    duration: result.duration
+                });
+            }
+        } catch (error) {
+            // A suite that cannot run at all is one failure
+            results.push({
+                suite: suite.name,
+                name: 'Suite setup',
+                passed: false,
+                skipped: false,
+                error: error.message,
+                duration: Date.now() - startTime
+            });
+        } finally {
+            own?.server.close();
+        }
+    }
+
+    console.log = log;
+    const tap = toTap(results);
+    if (options.tap) {
+        await fs.writeFile(options.tap, tap);
+    }
+    if (options.junit) {
+        await fs.writeFile(options.junit, toJUnit(results));
+    }
+    process.stdout.write(tap);
+
+    const failed = results.filter(r => !r.passed && !r.skipped).length;
+    started?.server.close();
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(
+    (code) => process.exit(code),
+    (error) => {
+        console.error('[ERROR] Test run failed:', error);
+        process.exit(1);
+    }
+);
@@ -1,5 +1,6 @@
 // Note: This module expects WebSocket to be available globally or passed in
 // For Node.js usage, you would need to import WebSocket separately where this is used
+import { ServerError, parseServerMessage } from '@cf-worker-02/protocol';
 
 class ConnectionManager {
     constructor(options = {}) {
@@ -20,6 +21,10 @@ class ConnectionManager {
         this.lastHeartbeat = null;
         this.ws = null;
         this.url = null;
+        // Subscribed channel -> sequence number of the last message seen
+        this.channels = new Map();
+        // From the last welcome, lets a reconnect resume the session
+        this.resumeToken = null;
 
         // Callbacks
         this.onOpen = options.onOpen || (() => { });
@@ -41,7 +46,7 @@ class ConnectionManager {
 
         return new Promise((resolve, reject) => {
             try {
-                this.ws = new WebSocket(url, protocols);
+                this.ws = new WebSocket(this.resumeUrl(url), protocols);
 
                 this.ws.onopen = (event) => {
                     this.connectionState = 'connected';
@@ -69,16 +74,21 @@ class ConnectionManager {
                 };
 
                 this.ws.onmessage = (event) => {
-                    // Handle heartbeat responses
-                    if (event.data === 'pong') {
-                        this.lastHeartbeat = Date.now();
-                        if (this.pingTimeoutTimer) {
-                            clearTimeout(this.pingTimeoutTimer);
-                            this.pingTimeoutTimer = null;
-                        }
+                    if (this.handleHeartbeat(event.data)) {
                         return;
                     }
 
+                    const message = this.parseServerMessage(event.data);
+                    // Refused messages surface as typed errors
+                    if (message && message.type === 'error') {
+                        this.onError(ServerError.from(message));
+                        return;
+                    }
+                    if (message && message.type === 'welcome') {
+                        this.handleWelcome(message);
+                    }
+                    this.trackChannelPosition(message);
+
                     this.onMessage(event);
                 };
             } catch (error) {
@@ -90,6 +100,8 @@ class ConnectionManager {
     }
 
     disconnect() {
+        // A deliberate disconnect ends the session
+        this.resumeToken = null;
         if (this.ws) {
             this.ws.close(1000, 'Client initiated disconnect');
             this.connectionState = 'disconnected';
@@ -191,6 +203,59 @@ class ConnectionManager {
         }, this.options.heartbeatInterval);
     }
 
+    // Handles both heartbeat framings the server speaks: the raw strings
+    // 'ping'/'pong' and JSON {"type":"ping"}/{"type":"pong"}. Server pings
+    // are answered so the server does not close the connection as idle.
+    // Returns true when the data was a heartbeat.
+    handleHeartbeat(data) {
+        let type = data;
+        if (typeof data === 'string' && data.startsWith('{')) {
+            try {
+                type = JSON.parse(data).type;
+            } catch (e) {
+                return false;
+            }
+        }
+
+        if (type === 'pong') {
+            this.lastHeartbeat = Date.now();
+            if (this.pingTimeoutTimer) {
+                clearTimeout(this.pingTimeoutTimer);
+                this.pingTimeoutTimer = null;
+            }
+            return true;
+        }
+
+        if (type === 'ping') {
+            this.lastHeartbeat = Date.now();
+            try {
+                this.ws.send(JSON.stringify({ type: 'pong', timestamp: Date.now() }));
+            } catch (error) {
+                console.error('[HEARTBEAT] Failed to send pong:', error.message);
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    // Returns the validated protocol message, null for anything else
+    parseServerMessage(data) {
+        if (typeof data !== 'string' || !data.startsWith('{')) {
+            return null;
+        }
+
+        let parsedData;
+        try {
+            parsedData = JSON.parse(data);
+        } catch (e) {
+            return null;
+        }
+
+        const result = parseServerMessage(parsedData);
+        return result.ok ? result.value : null;
+    }
+
     stopHeartbeat() {
         if (this.heartbeatTimer) {
             clearInterval(this.heartbeatTimer);
@@ -301,6 +366,65 @@ class ConnectionManager {
         this.ws.send(data);
     }
 
+    // Subscribes to a channel and remembers it, so reconnects resubscribe
+    // and replay the messages missed in between
+    subscribe(channel) {
+        if (!this.channels.has(channel)) {
+            this.channels.set(channel, null);
+        }
+        this.send(JSON.stringify({ type: 'subscribe', channel }));
+    }
+
+    unsubscribe(channel) {
+        this.channels.delete(channel);
+        this.send(JSON.stringify({ type: 'unsubscribe', channel }));
+    }
+
+    // Remembers how far each subscribed channel has been read: the channel's
+    // latest sequence number on `subscribed`, then each message received
+    trackChannelPosition(message) {
+        if (!message || !this.channels.has(message.channel)) {
+            return;
+        }
+        const seq = this.channels.get(message.channel);
+        if (message.type === 'subscribed' && seq === null) {
+            this.channels.set(message.channel, message.seq);
+        } else if (message.type === 'channel_message') {
+            this.channels.set(message.channel, Math.max(seq ?? 0, message.seq));
+        }
+    }
+
+    // Appends the resume token of the previous connection, so the server
+    // hands back its connection id, subscriptions and queued messages
+    resumeUrl(url) {
+        if (!this.resumeToken) {
+            return url;
+        }
+        const resumeUrl = new URL(url);
+        resumeUrl.searchParams.set('resume', this.resumeToken);
+        return resumeUrl.toString();
+    }
+
+    // A resumed session kept its subscriptions, a new one resubscribes
+    handleWelcome(welcome) {
+        this.resumeToken = welcome.resumeToken;
+        if (!welcome.resumed) {
+            this.resubscribe();
+        }
+    }
+
+    // Resubscribes after a reconnect, asking for the messages after the last
+    // one seen (`since`). The server replays them before live traffic.
+    resubscribe() {
+        for (const [channel, seq] of this.channels) {
+            const message = { type: 'subscribe', channel };
+            if (seq !== null) {
+                message.since = seq;
+            }
+            this.send(JSON.stringify(message));
+        }
+    }
+
     // Batch send with queue management
     async batchSend(messages, options = {}) {
         const { delay = 0, validateEach = false } = options;
@@ -1,3 +1,5 @@
+import { checkMessageShape, checkMessageSize } from '@cf-worker-02/protocol';
+
 class MessageValidator {
     constructor(options = {}) {
         this.validationRules = options.rules || {};
@@ -111,6 +113,23 @@ class MessageValidator {
             return messageSize >= size;
         },
 
+        // Server limits as advertised in `welcome.limits`. JSON strings are
+        // parsed to check depth and key count.
+        withinLimits: (limits) => (message) => {
+            if (checkMessageSize(this.getMessageSize(message), limits)) return false;
+            let value = message;
+            if (typeof message === 'string') {
+                try {
+                    value = JSON.parse(message);
+                } catch {
+                    return true;
+                }
+            } else if (Buffer.isBuffer(message) || message instanceof ArrayBuffer) {
+                return true;
+            }
+            return checkMessageShape(value, limits) === null;
+        },
+
         // Pattern validations
         matchesPattern: (pattern) => (message) => {
             const str = typeof message === 'string' ? message : JSON.stringify(message);
@@ -338,6 +357,18 @@ class MessageValidator {
         return validator;
     }
 
+    // Pre-checks outgoing messages against the limits of a `welcome` message
+    static createLimitsValidator(limits) {
+        const validator = new MessageValidator();
+
+        validator.addRule('withinLimits', MessageValidator.predefinedRules.withinLimits(limits), {
+            required: true,
+            errorMessage: `Message exceeds server limits (max ${limits.maxBytes} bytes, depth ${limits.maxDepth ?? 'unlimited'}, keys ${limits.maxKeys ?? 'unlimited'})`
+        });
+
+        return validator;
+    }
+
     // Validation chain builder
     static buildValidationChain() {
         return new ValidationChain();
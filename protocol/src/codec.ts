@@ -0,0 +1,47 @@
+import { decode, encode } from "@msgpack/msgpack"
+
+// Wire encodings of protocol messages. JSON travels in text frames,
+// MessagePack in binary frames. The encoding is chosen at connect time.
+export type Encoding = "json" | "msgpack"
+
+export const ENCODINGS: readonly Encoding[] = ["json", "msgpack"]
+
+export const isEncoding = (value: unknown): value is Encoding =>
+  ENCODINGS.includes(value as Encoding)
+
+export type Frame = string | ArrayBuffer | ArrayBufferView
+
+export interface Codec {
+  encoding: Encoding
+  encode(message: unknown): string | Uint8Array
+  // Throws when the frame does not hold a message in this encoding
+  decode(frame: Frame): unknown
+}
+
+const bytesOf = (frame: ArrayBuffer | ArrayBufferView) =>
+  frame instanceof ArrayBuffer
+    ? new Uint8Array(frame)
+    : new Uint8Array(frame.buffer, frame.byteOffset, frame.byteLength)
+
+export const jsonCodec: Codec = {
+  encoding: "json",
+  encode: (message) => JSON.stringify(message),
+  decode: (frame) =>
+    JSON.parse(
+      typeof frame === "string"
+        ? frame
+        : new TextDecoder().decode(bytesOf(frame))
+    ),
+}
+
+// Text frames are still read as JSON, so heartbeats and hand-written
+// messages keep working on MessagePack connections
+export const msgpackCodec: Codec = {
+  encoding: "msgpack",
+  encode: (message) => encode(message, { ignoreUndefined: true }),
+  decode: (frame) =>
+    typeof frame === "string" ? JSON.parse(frame) : decode(bytesOf(frame)),
+}
+
+export const codecFor = (encoding: Encoding): Codec =>
+  encoding === "msgpack" ? msgpackCodec : jsonCodec
@@ -0,0 +1,51 @@
+import { oneOf } from "./schema"
+
+// Machine-readable codes of `error` messages and rejected acks. Clients
+// branch on the code, the message is meant for people.
+export const ERROR_CODES = [
+  // A binary frame that does not decode in the connection's encoding
+  "INVALID_JSON",
+  // A message that fails the payload schema of its type
+  "INVALID_MESSAGE",
+  "UNKNOWN_TYPE",
+  // Authentication is required, or the token is invalid
+  "UNAUTHORIZED",
+  // Authenticated, but without the role or right to do this
+  "FORBIDDEN",
+  "RATE_LIMITED",
+  "MESSAGE_TOO_LARGE",
+  "CHANNEL_NOT_FOUND",
+  // A connection or subscription the message refers to does not exist
+  "NOT_FOUND",
+  "INTERNAL_ERROR",
+] as const
+
+export type ErrorCode = (typeof ERROR_CODES)[number]
+
+export const errorCode = () => oneOf(ERROR_CODES)
+
+// A refused message as surfaced by the clients. `id` is the id of the
+// client message that caused it, when it had one.
+export class ServerError extends Error {
+  constructor(
+    readonly code: ErrorCode,
+    message: string,
+    readonly id?: string | number,
+    readonly details: Record<string, unknown> = {}
+  ) {
+    super(message)
+    this.name = "ServerError"
+  }
+
+  // Builds the error from an `error` message, keeping its other fields as
+  // details
+  static from(error: {
+    code: ErrorCode
+    message: string
+    id?: string | number
+    [key: string]: unknown
+  }): ServerError {
+    const { type, code, message, id, ...details } = error
+    return new ServerError(code, message, id, details)
+  }
+}
@@ -0,0 +1,51 @@
+import { nullable, number, object, type Infer } from "./schema"
+
+// Close code for sockets that keep sending messages over the limits
+export const CLOSE_MESSAGE_TOO_BIG = 1009
+
+// Inbound limits of a connection, advertised in `welcome`. Null disables
+// the depth and key count checks.
+export const messageLimits = object({
+  maxBytes: number(),
+  maxDepth: nullable(number()),
+  maxKeys: nullable(number()),
+})
+
+export type MessageLimits = Infer<typeof messageLimits>
+
+export const checkMessageSize = (
+  size: number,
+  limits: MessageLimits
+): string | null =>
+  size > limits.maxBytes
+    ? `Message too large (${size} bytes, max ${limits.maxBytes})`
+    : null
+
+// Describes the first depth or key count limit a decoded message exceeds,
+// null when it fits. The top-level value has depth 1 and keys are counted
+// across all nested objects.
+export const checkMessageShape = (
+  value: unknown,
+  limits: MessageLimits
+): string | null => {
+  let keys = 0
+  // Walked without recursion, the depth is not trusted yet
+  const stack: [unknown, number][] = [[value, 1]]
+  while (stack.length > 0) {
+    const [node, depth] = stack.pop()!
+    if (typeof node !== "object" || node === null) continue
+    if (limits.maxDepth !== null && depth > limits.maxDepth) {
+      return `Message too deeply nested (max depth ${limits.maxDepth})`
+    }
+
+    const children = Array.isArray(node) ? node : Object.values(node)
+    if (!Array.isArray(node)) {
+      keys += children.length
+      if (limits.maxKeys !== null && keys > limits.maxKeys) {
+        return `Message has too many keys (max ${limits.maxKeys})`
+      }
+    }
+    for (const child of children) stack.push([child, depth + 1])
+  }
+  return null
+}
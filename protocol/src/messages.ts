@@ -0,0 +1,327 @@
+import {
+  array,
+  boolean,
+  literal,
+  nullable,
+  number,
+  object,
+  optional,
+  string,
+  union,
+  unknown,
+  type Infer,
+  type Schema,
+  type SchemaResult,
+} from "./schema"
+import { errorCode } from "./errors"
+import { messageLimits } from "./limits"
+
+// Message shapes of protocol version 1, see WEBSOCKET_PROTOCOL.md. Every
+// message is a JSON object whose `type` selects one of the payloads below.
+
+export const MAX_CONTENT_LENGTH = 1000
+
+// Close code sent when a socket presents a missing or invalid token
+export const CLOSE_UNAUTHORIZED = 4001
+
+// Close code for sockets that missed a heartbeat
+export const CLOSE_HEARTBEAT_TIMEOUT = 1001
+
+// Close code for the old socket of a session resumed on a new connection
+export const CLOSE_SESSION_RESUMED = 4003
+
+// Close code used when an admin disconnects a socket without choosing one
+export const CLOSE_ADMIN_DISCONNECT = 4004
+
+// Close code for sockets that keep exceeding their rate limits
+export const CLOSE_POLICY_VIOLATION = 1008
+
+// Message content: any non-empty JSON value, strings of limited length
+export const content = (): Schema<unknown> => ({
+  parse: (value) => {
+    if (value === undefined || value === null || value === "") {
+      return { ok: false, message: "Empty message not allowed" }
+    }
+    if (typeof value === "string" && value.length > MAX_CONTENT_LENGTH) {
+      return {
+        ok: false,
+        message: `Message too long (max ${MAX_CONTENT_LENGTH} characters)`,
+      }
+    }
+    return { ok: true, value }
+  },
+})
+
+const timestamp = string
+const userId = () => nullable(string())
+
+export const userClaims = object({
+  sub: string(),
+  iat: number(),
+  exp: number(),
+  role: optional(literal("admin")),
+})
+
+export const remoteInfo = object({
+  ip: nullable(string()),
+  userAgent: nullable(string()),
+  origin: nullable(string()),
+  country: nullable(string()),
+})
+
+const connectionInfoShape = {
+  connectionId: string(),
+  connectedAt: timestamp(),
+  userId: userId(),
+  user: nullable(userClaims),
+  channels: array(string()),
+  messages: object({ in: number(), out: number() }),
+  remote: remoteInfo,
+  // Set while the socket is gone and the session can still be resumed
+  detachedAt: nullable(timestamp()),
+}
+
+export const connectionInfo = object(connectionInfoShape)
+
+export const ackStatus = union(
+  literal("accepted"),
+  literal("rejected"),
+  literal("error")
+)
+
+// Payloads of the messages clients send. The hub validates each message
+// against the payload of its type before handling it.
+export const clientPayloads = {
+  auth: object({ token: string() }),
+  ping: object({}),
+  pong: object({}),
+  message: object({ content: unknown() }),
+  echo: object({ content: unknown() }),
+  // Plain text frames are handled as `{"type": "text", "content": <frame>}`
+  text: object({ content: unknown() }),
+  broadcast: object({ content: content(), excludeSelf: optional(boolean()) }),
+  // `since` replays the stored messages after a sequence number or an ISO
+  // 8601 timestamp before live traffic
+  subscribe: object({
+    channel: string(),
+    since: optional(union(number(), string())),
+  }),
+  unsubscribe: object({ channel: string() }),
+  publish: object({
+    channel: string(),
+    content: content(),
+    excludeSelf: optional(boolean()),
+  }),
+  presence: object({ channel: optional(string()) }),
+  direct: object({
+    to: optional(string()),
+    toUser: optional(string()),
+    content: content(),
+    queue: optional(boolean()),
+  }),
+  user_info: object({ target: optional(string()) }),
+}
+
+const presenceEvent = object({
+  connectionId: string(),
+  userId: userId(),
+  channel: optional(string()),
+  timestamp: timestamp(),
+  totalUsers: number(),
+})
+
+// Payloads of the messages the hub sends
+export const serverPayloads = {
+  welcome: object({
+    connectionId: string(),
+    // Version and encoding negotiated during the handshake
+    protocolVersion: number(),
+    encoding: union(literal("json"), literal("msgpack")),
+    // Inbound limits, so clients can check messages before sending them
+    limits: messageLimits,
+    // Presented as `?resume=` within `resumeWindowMs` of a disconnect to get
+    // this session back. `resumed` is set when that happened.
+    resumeToken: string(),
+    resumeWindowMs: number(),
+    resumed: boolean(),
+    userId: userId(),
+    timestamp: timestamp(),
+    connectionCount: number(),
+  }),
+  authenticated: object({
+    userId: string(),
+    expiresAt: timestamp(),
+    timestamp: timestamp(),
+  }),
+  ack: object({
+    ack: literal(true),
+    id: unknown(),
+    status: ackStatus,
+    error: optional(string()),
+    code: optional(errorCode()),
+    timestamp: timestamp(),
+  }),
+  // Errors may carry further details, such as the offending `channel`. `id`
+  // is the id of the client message that caused the error.
+  error: object({
+    code: errorCode(),
+    message: string(),
+    id: optional(union(string(), number())),
+  }),
+  ping: object({ timestamp: number() }),
+  pong: object({ timestamp: number() }),
+  echo: object({
+    content: unknown(),
+    connectionId: string(),
+    timestamp: timestamp(),
+  }),
+  broadcast: object({
+    broadcastId: string(),
+    sender: string(),
+    content: unknown(),
+    timestamp: timestamp(),
+  }),
+  broadcast_sent: object({
+    broadcastId: string(),
+    delivered: number(),
+    timestamp: timestamp(),
+  }),
+  subscribed: object({
+    channel: string(),
+    subscribers: number(),
+    // Latest sequence number of the channel and the number of messages
+    // replayed before this confirmation. `truncated` is set when messages
+    // after `since` are no longer stored and could not be replayed.
+    seq: number(),
+    replayed: number(),
+    truncated: boolean(),
+    timestamp: timestamp(),
+  }),
+  unsubscribed: object({ channel: string(), timestamp: timestamp() }),
+  channel_message: object({
+    channel: string(),
+    // Increases by one with every message of the channel
+    seq: number(),
+    messageId: string(),
+    sender: string(),
+    content: unknown(),
+    // Set on messages sent from the history, see `since`
+    replayed: optional(boolean()),
+    timestamp: timestamp(),
+  }),
+  published: object({
+    channel: string(),
+    seq: number(),
+    messageId: string(),
+    delivered: number(),
+    timestamp: timestamp(),
+  }),
+  presence_state: object({
+    channel: optional(string()),
+    users: array(string()),
+    totalUsers: number(),
+    timestamp: timestamp(),
+  }),
+  user_joined: presenceEvent,
+  user_left: presenceEvent,
+  direct: object({
+    messageId: string(),
+    from: string(),
+    fromUser: userId(),
+    content: unknown(),
+    timestamp: timestamp(),
+    // Set when the message waited in the offline queue
+    queued: optional(boolean()),
+  }),
+  direct_status: object({
+    messageId: string(),
+    to: optional(string()),
+    toUser: optional(string()),
+    // `queued` when no connection received it yet but it waits for one:
+    // in the offline queue, or in a detached session until it resumes
+    status: union(literal("delivered"), literal("queued"), literal("offline")),
+    delivered: number(),
+    queued: boolean(),
+    timestamp: timestamp(),
+  }),
+  // Pushed to one connection through POST /admin/connections/:id/messages
+  admin_message: object({
+    content: unknown(),
+    timestamp: timestamp(),
+  }),
+  user_info_response: object({
+    ...connectionInfoShape,
+    connectionCount: number(),
+    timestamp: timestamp(),
+  }),
+}
+
+type Payloads = Record<string, Schema<object>>
+
+type MessageOf<P extends Payloads> = {
+  [K in keyof P & string]: { type: K } & Infer<P[K]>
+}[keyof P & string]
+
+// Any JSON client message may carry an `id`, answered with an `ack`
+export type ClientMessage = MessageOf<typeof clientPayloads> & {
+  id?: string | number
+}
+export type ServerMessage = MessageOf<typeof serverPayloads>
+
+export type ClientMessageType = ClientMessage["type"]
+export type ServerMessageType = ServerMessage["type"]
+
+export type ClientMessageOf<T extends ClientMessageType> = Extract<
+  ClientMessage,
+  { type: T }
+>
+export type ServerMessageOf<T extends ServerMessageType> = Extract<
+  ServerMessage,
+  { type: T }
+>
+
+export type AckStatus = Infer<typeof ackStatus>
+export type UserClaims = Infer<typeof userClaims>
+export type RemoteInfo = Infer<typeof remoteInfo>
+export type ConnectionInfo = Infer<typeof connectionInfo>
+
+// Body of GET /ws-stats, without the fields added by the route
+export interface HubStats {
+  connectionCount: number
+  channels: Record<string, number>
+  messages: { in: number; out: number }
+  errors: {
+    protocol: number
+    send: number
+    socket: number
+    rateLimited: number
+  }
+  connectionsTotal: number
+  startedAt: string
+  uptimeSeconds: number
+}
+
+const parseMessage = <M>(
+  payloads: Payloads,
+  value: unknown
+): SchemaResult<M> => {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return { ok: false, message: "Message must be a JSON object" }
+  }
+  const { type } = value as { type?: unknown }
+  if (
+    typeof type !== "string" ||
+    !Object.prototype.hasOwnProperty.call(payloads, type)
+  ) {
+    return { ok: false, message: `Unknown message type: ${String(type)}` }
+  }
+  const payload = payloads[type].parse(value)
+  // Unlisted keys are kept, the payload schemas only check the known ones
+  return payload.ok ? { ok: true, value: value as M } : payload
+}
+
+export const parseClientMessage = (value: unknown) =>
+  parseMessage<ClientMessage>(clientPayloads, value)
+
+export const parseServerMessage = (value: unknown) =>
+  parseMessage<ServerMessage>(serverPayloads, value)
@@ -0,0 +1,134 @@
+// Minimal runtime validators. A schema returns the validated value or a
+// message describing the first problem found.
+
+export type SchemaResult<T> =
+  | { ok: true; value: T }
+  | { ok: false; message: string }
+
+export interface Schema<T> {
+  parse(value: unknown, path?: string): SchemaResult<T>
+}
+
+export type Infer<S> = S extends Schema<infer T> ? T : never
+
+const fail = (message: string): SchemaResult<never> => ({ ok: false, message })
+
+export const unknown = (): Schema<unknown> => ({
+  parse: (value) => ({ ok: true, value }),
+})
+
+export const boolean = (): Schema<boolean> => ({
+  parse: (value, path = "value") =>
+    typeof value === "boolean"
+      ? { ok: true, value }
+      : fail(`\`${path}\` must be a boolean`),
+})
+
+export const number = (): Schema<number> => ({
+  parse: (value, path = "value") =>
+    typeof value === "number" && Number.isFinite(value)
+      ? { ok: true, value }
+      : fail(`\`${path}\` must be a number`),
+})
+
+export const string = (
+  options: { max?: number; pattern?: RegExp } = {}
+): Schema<string> => ({
+  parse: (value, path = "value") => {
+    if (typeof value !== "string") return fail(`\`${path}\` must be a string`)
+    if (options.max !== undefined && value.length > options.max) {
+      return fail(`\`${path}\` must be at most ${options.max} characters`)
+    }
+    if (options.pattern && !options.pattern.test(value)) {
+      return fail(`\`${path}\` has an invalid format`)
+    }
+    return { ok: true, value }
+  },
+})
+
+export const literal = <T extends string | number | boolean>(
+  expected: T
+): Schema<T> => ({
+  parse: (value, path = "value") =>
+    value === expected
+      ? { ok: true, value: expected }
+      : fail(`\`${path}\` must be ${JSON.stringify(expected)}`),
+})
+
+// Accepts the first schema that matches
+export const union = <S extends Schema<any>[]>(
+  ...schemas: S
+): Schema<Infer<S[number]>> => ({
+  parse: (value, path = "value") => {
+    for (const schema of schemas) {
+      const result = schema.parse(value, path)
+      if (result.ok) return result
+    }
+    return fail(`\`${path}\` has an unexpected type`)
+  },
+})
+
+// Accepts one of a fixed list of strings
+export const oneOf = <T extends string>(values: readonly T[]): Schema<T> => ({
+  parse: (value, path = "value") =>
+    values.includes(value as T)
+      ? { ok: true, value: value as T }
+      : fail(`\`${path}\` must be one of ${values.join(", ")}`),
+})
+
+export const optional = <T>(schema: Schema<T>): Schema<T | undefined> => ({
+  parse: (value, path) =>
+    value === undefined ? { ok: true, value } : schema.parse(value, path),
+})
+
+export const nullable = <T>(schema: Schema<T>): Schema<T | null> => ({
+  parse: (value, path) =>
+    value === null ? { ok: true, value } : schema.parse(value, path),
+})
+
+export const array = <T>(item: Schema<T>): Schema<T[]> => ({
+  parse: (value, path = "value") => {
+    if (!Array.isArray(value)) return fail(`\`${path}\` must be an array`)
+    const result: T[] = []
+    for (const [index, entry] of value.entries()) {
+      const parsed = item.parse(entry, `${path}[${index}]`)
+      if (!parsed.ok) return parsed
+      result.push(parsed.value)
+    }
+    return { ok: true, value: result }
+  },
+})
+
+type OptionalKeys<S> = {
+  [K in keyof S]: undefined extends Infer<S[K]> ? K : never
+}[keyof S]
+
+// Keys whose schema accepts undefined become optional properties
+export type ObjectOf<S> = {
+  [K in Exclude<keyof S, OptionalKeys<S>>]: Infer<S[K]>
+} & { [K in OptionalKeys<S>]?: Infer<S[K]> }
+
+// Validates the listed keys and drops any others. Nested objects report
+// their path, top-level ones fail with "Message must be a JSON object".
+export const object = <S extends Record<string, Schema<any>>>(
+  shape: S
+): Schema<ObjectOf<S>> => ({
+  parse: (value, path) => {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      return fail(
+        path ? `\`${path}\` must be an object` : "Message must be a JSON object"
+      )
+    }
+
+    const result: Record<string, unknown> = {}
+    for (const [key, schema] of Object.entries(shape)) {
+      const field = schema.parse(
+        (value as Record<string, unknown>)[key],
+        path ? `${path}.${key}` : key
+      )
+      if (!field.ok) return field
+      if (field.value !== undefined) result[key] = field.value
+    }
+    return { ok: true, value: result as ObjectOf<S> }
+  },
+})
@@ -0,0 +1,44 @@
+import { isEncoding, type Encoding } from "./codec"
+
+// Protocol versions. Clients request one during the WebSocket handshake,
+// either as the subprotocol "cfws.v<version>" or as `?version=<version>`.
+// The subprotocol may name an encoding too: "cfws.v1.msgpack".
+export const PROTOCOL_VERSION = 1
+
+// Versions the server can speak, newest first
+export const SUPPORTED_VERSIONS: readonly number[] = [PROTOCOL_VERSION]
+
+// Close code for clients that only requested unsupported versions
+export const CLOSE_UNSUPPORTED_VERSION = 4002
+
+const VERSION_PROTOCOL_PREFIX = "cfws.v"
+
+export const versionProtocol = (version: number, encoding: Encoding = "json") =>
+  encoding === "json"
+    ? `${VERSION_PROTOCOL_PREFIX}${version}`
+    : `${VERSION_PROTOCOL_PREFIX}${version}.${encoding}`
+
+// Version and encoding named by a subprotocol such as "cfws.v1" or
+// "cfws.v1.msgpack", null for other names
+export const parseVersionProtocol = (
+  protocol: string
+): { version: number; encoding: Encoding } | null => {
+  if (!protocol.startsWith(VERSION_PROTOCOL_PREFIX)) return null
+  const [number, encoding = "json"] = protocol
+    .slice(VERSION_PROTOCOL_PREFIX.length)
+    .split(".")
+  const version = Number(number)
+  if (!Number.isInteger(version) || version <= 0 || !isEncoding(encoding)) {
+    return null
+  }
+  return { version, encoding }
+}
+
+// Picks the newest supported version among those requested. Clients that do
+// not ask for a version get the current one; null means none is supported.
+export const negotiateVersion = (requested: number[]): number | null => {
+  if (requested.length === 0) return PROTOCOL_VERSION
+  return (
+    SUPPORTED_VERSIONS.find((version) => requested.includes(version)) ?? null
+  )
+}
@@ -0,0 +1,28 @@
+import { Hono } from "hono"
+import type { AppEnv } from "./env"
+import { adminRoutes } from "./routes/admin"
+import { authRoutes } from "./routes/auth"
+import { channelRoutes } from "./routes/channels"
+import { eventRoutes } from "./routes/events"
+import { healthRoutes } from "./routes/health"
+import { websocketRoutes } from "./routes/websocket"
+
+export interface AppOptions {
+  // Prefix for every route, e.g. "/api" serves the socket at /api/websocket
+  basePath?: string
+}
+
+// Builds the Hono app. The worker entry point serves one instance; tests and
+// host apps can create their own or mount it with `app.route(path, ...)`.
+export const createApp = (options: AppOptions = {}) => {
+  const app = new Hono<AppEnv>().basePath(options.basePath ?? "/")
+
+  app.route("/", healthRoutes())
+  app.route("/", websocketRoutes())
+  app.route("/events", eventRoutes())
+  app.route("/auth", authRoutes())
+  app.route("/admin", adminRoutes())
+  app.route("/channels", channelRoutes())
+
+  return app
+}
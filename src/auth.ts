@@ -0,0 +1,110 @@
+import { sign, verify } from "hono/jwt"
+import type { Env } from "./env"
+
+export const JWT_ALG = "HS256"
+const DEFAULT_TOKEN_TTL = 3600
+
+// Browsers cannot set headers on upgrades, so a token can also be offered as
+// the subprotocol pair ["bearer", "<token>"]
+export const AUTH_PROTOCOL = "bearer"
+
+export interface AuthClaims {
+  sub: string
+  iat: number
+  exp: number
+  role?: "admin"
+}
+
+const splitList = (value?: string) =>
+  (value ?? "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+
+const sha256 = async (value: string) =>
+  new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(value))
+  )
+
+// Compares a presented secret with an expected one in constant time. The
+// digests have the same length whatever the inputs, so neither the length
+// nor the first differing character shows in the timing.
+const secretEquals = async (
+  presented: string,
+  expected: string
+): Promise<boolean> => {
+  const [a, b] = await Promise.all([sha256(presented), sha256(expected)])
+  let difference = 0
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i]
+  return difference === 0
+}
+
+// Whether the secret matches any of the candidates, comparing with all of
+// them
+const matchesAny = async (secret: string, candidates: string[]) => {
+  const matches = await Promise.all(
+    candidates.map((candidate) => secretEquals(secret, candidate))
+  )
+  return matches.includes(true)
+}
+
+export const isAdmin = (claims: AuthClaims | null) => claims?.role === "admin"
+
+export const issueToken = async (env: Env, subject: string) => {
+  const ttl = Number(env.JWT_TTL_SECONDS) || DEFAULT_TOKEN_TTL
+  const iat = Math.floor(Date.now() / 1000)
+  const claims: AuthClaims = { sub: subject, iat, exp: iat + ttl }
+  if (splitList(env.ADMIN_USERS).includes(subject)) claims.role = "admin"
+  return {
+    token: await sign({ ...claims }, env.JWT_SECRET, JWT_ALG),
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  }
+}
+
+// Resolves to the token's claims, or null when it is invalid or expired
+export const verifyToken = async (
+  env: Env,
+  token: string
+): Promise<AuthClaims | null> => {
+  try {
+    const payload = await verify(token, env.JWT_SECRET, JWT_ALG)
+    if (typeof payload.sub !== "string") return null
+    return payload as unknown as AuthClaims
+  } catch (error) {
+    return null
+  }
+}
+
+// API_KEYS holds keys separated by commas, so a key can be rotated by adding
+// the new one before removing the old
+export const isApiKey = (env: Env, key: string): Promise<boolean> =>
+  matchesAny(key, splitList(env.API_KEYS))
+
+// ADMIN_TOKEN is the static token of admin routes, unset disables it
+export const isAdminToken = async (env: Env, token: string) =>
+  env.ADMIN_TOKEN ? secretEquals(token, env.ADMIN_TOKEN) : false
+
+// AUTH_USERS holds "user:password" pairs separated by commas
+export const checkCredentials = async (
+  env: Env,
+  username: unknown,
+  password: unknown
+): Promise<boolean> => {
+  if (typeof username !== "string" || typeof password !== "string") {
+    return false
+  }
+  return matchesAny(`${username}:${password}`, splitList(env.AUTH_USERS))
+}
+
+// Finds a token on a WebSocket upgrade, either as the `token` query param or
+// following "bearer" in the Sec-WebSocket-Protocol header
+export const tokenFromUpgrade = (request: Request): string | null => {
+  const fromQuery = new URL(request.url).searchParams.get("token")
+  if (fromQuery) return fromQuery
+
+  const protocols = (request.headers.get("Sec-WebSocket-Protocol") ?? "")
+    .split(",")
+    .map((protocol) => protocol.trim())
+  const index = protocols.indexOf(AUTH_PROTOCOL)
+  return index >= 0 ? protocols[index + 1] || null : null
+}
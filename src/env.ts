@@ -0,0 +1,65 @@
+import type { AuthClaims } from "./auth"
+import type { WebSocketHub } from "./runtime/cloudflare"
+
+export interface Env {
+  // Durable Object that owns every socket of a hub. See src/websocket/hub.ts
+  WEBSOCKET_HUB: DurableObjectNamespace<WebSocketHub>
+  // Comma-separated list of channels clients may use. Unset allows any name
+  ALLOWED_CHANNELS?: string
+  // Messages kept per channel for replay with `since`, defaults to 100.
+  // "0" keeps none
+  CHANNEL_HISTORY_LIMIT?: string
+  // Milliseconds a dropped session can be resumed, defaults to 60000. "0"
+  // disables resumption
+  RESUME_WINDOW_MS?: string
+  // Milliseconds a direct message waits in a user's offline queue, defaults
+  // to 86400000 (one day)
+  DIRECT_QUEUE_TTL_MS?: string
+  // Milliseconds between server heartbeats, defaults to 30000. A socket that
+  // sends nothing for two intervals is closed
+  HEARTBEAT_INTERVAL_MS?: string
+  // Secret used to sign and verify JWTs (set with `wrangler secret put`)
+  JWT_SECRET: string
+  // Lifetime of issued tokens in seconds, defaults to 3600
+  JWT_TTL_SECONDS?: string
+  // Comma-separated "user:password" pairs accepted by POST /auth/login
+  AUTH_USERS?: string
+  // Comma-separated users whose tokens carry the admin role
+  ADMIN_USERS?: string
+  // Static bearer token accepted by admin routes such as GET /ws-stats
+  ADMIN_TOKEN?: string
+  // Comma-separated keys that backends present to POST /channels/:name/messages
+  API_KEYS?: string
+  // "true" rejects WebSocket connections that do not authenticate
+  WS_AUTH_REQUIRED?: string
+  // Rate limits, see src/websocket/rate-limit.ts. "0" disables a limit
+  RATE_LIMIT_MESSAGES_PER_SECOND?: string
+  RATE_LIMIT_BYTES_PER_SECOND?: string
+  RATE_LIMIT_UPGRADES_PER_MINUTE?: string
+  RATE_LIMIT_MAX_VIOLATIONS?: string
+  // Inbound message limits, see src/websocket/message-limits.ts
+  MAX_MESSAGE_BYTES?: string
+  MAX_MESSAGE_DEPTH?: string
+  MAX_MESSAGE_KEYS?: string
+  MESSAGE_LIMIT_MAX_VIOLATIONS?: string
+  // Example binding to KV. Learn more at https://developers.cloudflare.com/workers/runtime-apis/kv/
+  // MY_KV_NAMESPACE: KVNamespace;
+  // Example binding to R2. Learn more at https://developers.cloudflare.com/workers/runtime-apis/r2/
+  // MY_BUCKET: R2Bucket;
+  // Example binding to a Service. Learn more at https://developers.cloudflare.com/workers/runtime-apis/service-bindings/
+  // MY_SERVICE: Fetcher;
+}
+
+// Hono environment of the app: bindings plus the variables set by middleware
+export type AppEnv = {
+  Bindings: Env
+  Variables: {
+    // Set by withHub
+    hub: DurableObjectStub<WebSocketHub>
+    hubName: string
+    // Set by requirePublisher: "api" for API keys, else the JWT subject
+    publisher: string
+    // Set by requireAuth
+    jwtPayload: AuthClaims
+  }
+}
@@ -0,0 +1,63 @@
+import type { Context, MiddlewareHandler } from "hono"
+import { isAdmin, isAdminToken, isApiKey, verifyToken } from "../auth"
+import type { AppEnv } from "../env"
+import { errorResponse } from "../routes/errors"
+
+const bearerToken = (c: Context<AppEnv>): string | undefined => {
+  const [scheme, token] = (c.req.header("Authorization") ?? "").split(" ")
+  return scheme === "Bearer" && token ? token : undefined
+}
+
+// Rejects requests without a valid `Authorization: Bearer` token with 401.
+// The claims are available as `c.get("jwtPayload")`.
+export const requireAuth: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const token = bearerToken(c)
+  if (!token) {
+    return errorResponse(c, 401, "UNAUTHORIZED", "Missing bearer token")
+  }
+  const claims = await verifyToken(c.env, token)
+  if (!claims) return errorResponse(c, 401, "UNAUTHORIZED", "Invalid token")
+  c.set("jwtPayload", claims)
+  await next()
+}
+
+// Accepts the static ADMIN_TOKEN or a JWT carrying the admin role
+export const requireAdmin: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const token = bearerToken(c)
+  if (!token) {
+    return errorResponse(c, 401, "UNAUTHORIZED", "Missing bearer token")
+  }
+
+  if (!(await isAdminToken(c.env, token))) {
+    const claims = await verifyToken(c.env, token)
+    if (!claims) return errorResponse(c, 401, "UNAUTHORIZED", "Invalid token")
+    if (!isAdmin(claims)) {
+      return errorResponse(c, 403, "FORBIDDEN", "Admin role required")
+    }
+  }
+  await next()
+}
+
+// Accepts an API key, as `X-API-Key` or bearer token, or any valid JWT. The
+// caller is available as `c.var.publisher`.
+export const requirePublisher: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const apiKey = c.req.header("X-API-Key")
+  const bearer = bearerToken(c)
+
+  if (apiKey !== undefined) {
+    if (!(await isApiKey(c.env, apiKey))) {
+      return errorResponse(c, 401, "UNAUTHORIZED", "Invalid API key")
+    }
+    c.set("publisher", "api")
+  } else if (bearer && (await isApiKey(c.env, bearer))) {
+    c.set("publisher", "api")
+  } else {
+    if (!bearer) {
+      return errorResponse(c, 401, "UNAUTHORIZED", "Missing API key or token")
+    }
+    const claims = await verifyToken(c.env, bearer)
+    if (!claims) return errorResponse(c, 401, "UNAUTHORIZED", "Invalid token")
+    c.set("publisher", claims.sub)
+  }
+  await next()
+}
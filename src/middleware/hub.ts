@@ -0,0 +1,51 @@
+import type { MiddlewareHandler } from "hono"
+import type { AppEnv } from "../env"
+import { errorResponse } from "../routes/errors"
+import { rateLimitsFromEnv } from "../websocket/rate-limit"
+
+export const DEFAULT_HUB = "default"
+
+// Prefix of the hubs that count upgrades, one per client IP whichever hub
+// the upgrades are for. Clients cannot use these names.
+export const UPGRADE_LIMIT_PREFIX = "upgrade-limits:"
+
+// Resolves the Durable Object stub of the hub named by the `hub` query param
+// and exposes it as `c.var.hub`
+export const withHub: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const name = c.req.query("hub") || DEFAULT_HUB
+  if (name.startsWith(UPGRADE_LIMIT_PREFIX)) {
+    return errorResponse(
+      c,
+      400,
+      "INVALID_MESSAGE",
+      `Hub names starting with "${UPGRADE_LIMIT_PREFIX}" are reserved`
+    )
+  }
+  c.set("hubName", name)
+  c.set("hub", c.env.WEBSOCKET_HUB.get(c.env.WEBSOCKET_HUB.idFromName(name)))
+  await next()
+}
+
+// Answers clients over RATE_LIMIT_UPGRADES_PER_MINUTE with 429. Runs before
+// withHub, so picking another hub name does not reset the limit.
+export const limitUpgrades: MiddlewareHandler<AppEnv> = async (c, next) => {
+  const ip = c.req.header("CF-Connecting-IP")
+  if (ip && rateLimitsFromEnv(c.env).upgradesPerMinute > 0) {
+    const limiter = c.env.WEBSOCKET_HUB.get(
+      c.env.WEBSOCKET_HUB.idFromName(UPGRADE_LIMIT_PREFIX + ip)
+    )
+    const retryAfterMs = await limiter.chargeUpgrade(ip)
+    if (retryAfterMs > 0) {
+      return c.json(
+        {
+          code: "RATE_LIMITED",
+          message: "Too many connection attempts",
+          retryAfterMs,
+        },
+        429,
+        { "Retry-After": String(Math.ceil(retryAfterMs / 1000)) }
+      )
+    }
+  }
+  await next()
+}
@@ -0,0 +1,15 @@
+/// <reference types="node" />
+import { createApp } from "./app"
+import { createNodeServer, nodeEnv } from "./runtime/node"
+
+// Node entry point: the worker's routes and hubs in one process, configured
+// with the same variables as wrangler.toml. Run with `pnpm start:node`.
+const port = Number(process.env.PORT) || 8787
+const server = createNodeServer({
+  app: createApp(),
+  env: nodeEnv(process.env),
+})
+
+server.listen(port, () => {
+  console.log(`Listening on http://localhost:${port}`)
+})
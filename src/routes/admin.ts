@@ -0,0 +1,104 @@
+import { CLOSE_ADMIN_DISCONNECT, content } from "@cf-worker-02/protocol"
+import { Hono, type Context } from "hono"
+import type { AppEnv } from "../env"
+import { requireAdmin } from "../middleware/auth"
+import { withHub } from "../middleware/hub"
+import { errorResponse } from "./errors"
+
+// Close frames carry at most 123 bytes of reason
+const MAX_CLOSE_REASON_BYTES = 123
+
+// Codes a server may close with: the registered ones that can be sent, and
+// the range for applications
+const isCloseCode = (code: unknown): code is number =>
+  typeof code === "number" &&
+  Number.isInteger(code) &&
+  ((code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+    (code >= 3000 && code <= 4999))
+
+const notFound = (c: Context<AppEnv>, connectionId: string) =>
+  errorResponse(c, 404, "NOT_FOUND", `Connection not found: ${connectionId}`)
+
+// Operating on the live connections of a hub, selected with `?hub=` like
+// /ws-stats. Every route needs an admin token.
+export const adminRoutes = () => {
+  const routes = new Hono<AppEnv>()
+  routes.use("*", requireAdmin, withHub)
+
+  // Filters: `channel` for its subscribers, `user` for a user's connections
+  routes.get("/connections", async (c) => {
+    const connections = await c.var.hub.listConnections({
+      channel: c.req.query("channel") || undefined,
+      userId: c.req.query("user") || undefined,
+    })
+    return c.json({
+      hub: c.var.hubName,
+      count: connections.length,
+      connections,
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  routes.get("/connections/:id", async (c) => {
+    const connectionId = c.req.param("id")
+    const info = await c.var.hub.getConnectionInfo(connectionId)
+    if (!info) return notFound(c, connectionId)
+    return c.json({ ...info, hub: c.var.hubName })
+  })
+
+  // Body: {"content": ...}, delivered as an `admin_message`
+  routes.post("/connections/:id/messages", async (c) => {
+    const connectionId = c.req.param("id")
+    const body = await c.req.json().catch(() => ({}))
+    const parsed = content().parse(body?.content)
+    if (!parsed.ok)
+      return errorResponse(c, 400, "INVALID_MESSAGE", parsed.message)
+
+    const result = await c.var.hub.pushMessage(connectionId, parsed.value)
+    if (!result) return notFound(c, connectionId)
+    return c.json({
+      connectionId,
+      queued: result.queued,
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  // Body (optional): {"code": 4004, "reason": "..."}
+  routes.delete("/connections/:id", async (c) => {
+    const connectionId = c.req.param("id")
+    const body = await c.req.json().catch(() => ({}))
+    const code = body?.code ?? CLOSE_ADMIN_DISCONNECT
+    const reason = body?.reason ?? "Disconnected by admin"
+    if (!isCloseCode(code)) {
+      return errorResponse(
+        c,
+        400,
+        "INVALID_MESSAGE",
+        `Invalid close code: ${code}`
+      )
+    }
+    if (
+      typeof reason !== "string" ||
+      new TextEncoder().encode(reason).byteLength > MAX_CLOSE_REASON_BYTES
+    ) {
+      return errorResponse(
+        c,
+        400,
+        "INVALID_MESSAGE",
+        `Close reason must be a string of at most ${MAX_CLOSE_REASON_BYTES} bytes`
+      )
+    }
+
+    if (!(await c.var.hub.disconnect(connectionId, code, reason))) {
+      return notFound(c, connectionId)
+    }
+    return c.json({
+      connectionId,
+      code,
+      reason,
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  return routes
+}
@@ -0,0 +1,35 @@
+import { Hono } from "hono"
+import { checkCredentials, issueToken } from "../auth"
+import type { AppEnv } from "../env"
+import { requireAuth } from "../middleware/auth"
+import { errorResponse } from "./errors"
+
+export const authRoutes = () => {
+  const routes = new Hono<AppEnv>()
+
+  // Issue a JWT for the credentials listed in AUTH_USERS
+  routes.post("/login", async (c) => {
+    const body = await c.req.json().catch(() => ({}))
+    if (!(await checkCredentials(c.env, body.username, body.password))) {
+      return errorResponse(
+        c,
+        401,
+        "UNAUTHORIZED",
+        "Invalid username or password"
+      )
+    }
+
+    const { token, expiresAt } = await issueToken(c.env, body.username)
+    return c.json({ token, tokenType: "Bearer", expiresAt })
+  })
+
+  // Protected endpoint returning the claims of the presented token
+  routes.get("/me", requireAuth, (c) => {
+    return c.json({
+      user: c.get("jwtPayload"),
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  return routes
+}
@@ -0,0 +1,94 @@
+import {
+  checkMessageShape,
+  checkMessageSize,
+  content,
+  type ErrorCode,
+} from "@cf-worker-02/protocol"
+import { Hono } from "hono"
+import type { AppEnv } from "../env"
+import { requirePublisher } from "../middleware/auth"
+import { withHub } from "../middleware/hub"
+import { messageLimitsFromEnv } from "../websocket/message-limits"
+import { errorResponse } from "./errors"
+
+// Messages accepted by one batch request
+export const MAX_BATCH_SIZE = 100
+
+const CHECK_STATUS: Partial<Record<ErrorCode, 400 | 403 | 404>> = {
+  INVALID_MESSAGE: 400,
+  FORBIDDEN: 403,
+  CHANNEL_NOT_FOUND: 404,
+}
+
+// Publishing from backends that cannot hold a WebSocket. Subscribers of the
+// channel in the hub named by `?hub=` receive a `channel_message`, just as
+// if a connection had published it.
+export const channelRoutes = () => {
+  const routes = new Hono<AppEnv>()
+
+  // The JSON body is the message content. With `?batch=true` the body is an
+  // array of contents, published in order.
+  routes.post("/:name/messages", requirePublisher, withHub, async (c) => {
+    const channel = c.req.param("name")
+    const batch = c.req.query("batch") === "true"
+    const body = await c.req.json().catch(() => undefined)
+    if (body === undefined) {
+      return errorResponse(c, 400, "INVALID_JSON", "Body must be JSON")
+    }
+    if (
+      batch &&
+      (!Array.isArray(body) ||
+        body.length === 0 ||
+        body.length > MAX_BATCH_SIZE)
+    ) {
+      return errorResponse(
+        c,
+        400,
+        "INVALID_MESSAGE",
+        `Batch must be an array of 1 to ${MAX_BATCH_SIZE} messages`
+      )
+    }
+
+    const contents: unknown[] = batch ? body : [body]
+    const limits = messageLimitsFromEnv(c.env)
+    for (const [index, value] of contents.entries()) {
+      const label = batch ? `Message ${index}: ` : ""
+      const parsed = content().parse(value)
+      if (!parsed.ok) {
+        return errorResponse(c, 400, "INVALID_MESSAGE", label + parsed.message)
+      }
+      const size = new TextEncoder().encode(JSON.stringify(value)).byteLength
+      const limitError =
+        checkMessageSize(size, limits) ?? checkMessageShape(value, limits)
+      if (limitError) {
+        return errorResponse(c, 413, "MESSAGE_TOO_LARGE", label + limitError)
+      }
+    }
+
+    const outcome = await c.var.hub.publishMessages(
+      channel,
+      c.var.publisher,
+      contents
+    )
+    if (!outcome.ok) {
+      return errorResponse(
+        c,
+        CHECK_STATUS[outcome.code] ?? 400,
+        outcome.code,
+        outcome.message
+      )
+    }
+
+    const timestamp = new Date().toISOString()
+    if (!batch) return c.json({ channel, ...outcome.messages[0], timestamp })
+    return c.json({
+      channel,
+      count: outcome.messages.length,
+      delivered: outcome.messages.reduce((sum, m) => sum + m.delivered, 0),
+      messages: outcome.messages,
+      timestamp,
+    })
+  })
+
+  return routes
+}
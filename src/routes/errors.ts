@@ -0,0 +1,12 @@
+import type { ErrorCode } from "@cf-worker-02/protocol"
+import type { Context } from "hono"
+import type { ContentfulStatusCode } from "hono/utils/http-status"
+import type { AppEnv } from "../env"
+
+// REST errors carry the protocol's error codes, like `error` messages do
+export const errorResponse = (
+  c: Context<AppEnv>,
+  status: ContentfulStatusCode,
+  code: ErrorCode,
+  message: string
+) => c.json({ code, message }, status)
@@ -0,0 +1,72 @@
+import { Hono, type Context } from "hono"
+import { cors } from "hono/cors"
+import type { AppEnv } from "../env"
+import { limitUpgrades, withHub } from "../middleware/hub"
+import { acceptsEventStream } from "../websocket/event-stream"
+import { errorResponse } from "./errors"
+
+// Header carrying the resume token of the connection a request acts for
+export const RESUME_TOKEN_HEADER = "X-Resume-Token"
+
+const unknownConnection = (c: Context<AppEnv>, connectionId: string) =>
+  errorResponse(
+    c,
+    404,
+    "NOT_FOUND",
+    `No connection ${connectionId} with this resume token`
+  )
+
+// Server-Sent Events fallback of /websocket. The stream carries the server's
+// messages; the client sends its own with POST, one message per request,
+// proving the connection is theirs with the resume token of its latest
+// welcome.
+export const eventRoutes = () => {
+  const routes = new Hono<AppEnv>()
+
+  // Unlike WebSockets, EventSource and fetch are bound by CORS. Nothing
+  // here relies on cookies, so any origin may connect.
+  routes.use(
+    "*",
+    cors({
+      origin: "*",
+      allowMethods: ["GET", "POST", "DELETE"],
+      allowHeaders: ["Content-Type", "Last-Event-ID", RESUME_TOKEN_HEADER],
+    })
+  )
+
+  // Takes the query params of /websocket: hub, token, version, resume
+  routes.get("/", limitUpgrades, withHub, (c) => {
+    if (c.req.header("Upgrade") === "websocket") {
+      return c.text("WebSocket upgrades go to /websocket", 400)
+    }
+    if (!acceptsEventStream(c.req.raw)) {
+      return c.text("Expected Accept: text/event-stream", 406)
+    }
+    return c.var.hub.fetch(c.req.raw)
+  })
+
+  // The body is the message, as the text of a WebSocket frame
+  routes.post("/:connectionId", withHub, async (c) => {
+    const connectionId = c.req.param("connectionId")
+    const accepted = await c.var.hub.postEvent(
+      connectionId,
+      c.req.header(RESUME_TOKEN_HEADER) ?? "",
+      await c.req.text()
+    )
+    if (!accepted) return unknownConnection(c, connectionId)
+    return c.body(null, 202)
+  })
+
+  // Ends the session, where dropping the stream would leave it resumable
+  routes.delete("/:connectionId", withHub, async (c) => {
+    const connectionId = c.req.param("connectionId")
+    const closed = await c.var.hub.closeEventStream(
+      connectionId,
+      c.req.header(RESUME_TOKEN_HEADER) ?? ""
+    )
+    if (!closed) return unknownConnection(c, connectionId)
+    return c.body(null, 204)
+  })
+
+  return routes
+}
@@ -0,0 +1,22 @@
+import { Hono } from "hono"
+import type { AppEnv } from "../env"
+
+export const healthRoutes = () => {
+  const routes = new Hono<AppEnv>()
+
+  // Simple GET route
+  routes.get("/", (c) => {
+    return c.text(`Hello Hono with WebSockets!
+WebSocket endpoint: /websocket`)
+  })
+
+  // Simple health check endpoint
+  routes.get("/health", (c) => {
+    return c.json({
+      status: "ok",
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  return routes
+}
@@ -0,0 +1,30 @@
+import { Hono } from "hono"
+import type { AppEnv } from "../env"
+import { requireAdmin } from "../middleware/auth"
+import { limitUpgrades, withHub } from "../middleware/hub"
+
+export const websocketRoutes = () => {
+  const routes = new Hono<AppEnv>()
+
+  // Forward the upgrade to the Durable Object that owns the hub's sockets
+  routes.get("/websocket", limitUpgrades, withHub, (c) => {
+    if (c.req.header("Upgrade") !== "websocket") {
+      return c.text("Expected WebSocket upgrade", 426)
+    }
+
+    return c.var.hub.fetch(c.req.raw)
+  })
+
+  // Live statistics of a hub, for dashboards
+  routes.get("/ws-stats", requireAdmin, withHub, async (c) => {
+    const stats = await c.var.hub.getStats()
+    return c.json({
+      ...stats,
+      hub: c.var.hubName,
+      status: "active",
+      timestamp: new Date().toISOString(),
+    })
+  })
+
+  return routes
+}
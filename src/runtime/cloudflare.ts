@@ -0,0 +1,69 @@
+import { DurableObject } from "cloudflare:workers"
+import type { Env } from "../env"
+import { Hub } from "../websocket/hub"
+import type { AcceptSocket } from "./types"
+
+// The server end is accepted here, the client end goes back to the worker
+// in the 101 response
+export const acceptWorkerSocket: AcceptSocket = (request, protocol) => {
+  const pair = new WebSocketPair()
+  const [client, server] = [pair[0], pair[1]]
+  server.accept()
+
+  const headers = new Headers()
+  if (protocol) headers.set("Sec-WebSocket-Protocol", protocol)
+  return {
+    socket: server,
+    response: new Response(null, { status: 101, webSocket: client, headers }),
+  }
+}
+
+// Durable Object bound as WEBSOCKET_HUB, one instance per hub name. Requests
+// and RPC calls are handed to the hub it runs.
+export class WebSocketHub extends DurableObject<Env> {
+  private hub = new Hub(this.ctx, this.env, acceptWorkerSocket)
+
+  fetch(request: Request) {
+    return this.hub.fetch(request)
+  }
+
+  alarm() {
+    return this.hub.alarm()
+  }
+
+  getStats() {
+    return this.hub.getStats()
+  }
+
+  chargeUpgrade(ip: string) {
+    return this.hub.chargeUpgrade(ip)
+  }
+
+  postEvent(connectionId: string, resumeToken: string, frame: string) {
+    return this.hub.postEvent(connectionId, resumeToken, frame)
+  }
+
+  closeEventStream(connectionId: string, resumeToken: string) {
+    return this.hub.closeEventStream(connectionId, resumeToken)
+  }
+
+  publishMessages(channel: string, sender: string, contents: unknown[]) {
+    return this.hub.publishMessages(channel, sender, contents)
+  }
+
+  listConnections(filter: { channel?: string; userId?: string }) {
+    return this.hub.listConnections(filter)
+  }
+
+  getConnectionInfo(connectionId: string) {
+    return this.hub.getConnectionInfo(connectionId)
+  }
+
+  pushMessage(connectionId: string, content: unknown) {
+    return this.hub.pushMessage(connectionId, content)
+  }
+
+  disconnect(connectionId: string, code: number, reason: string) {
+    return this.hub.disconnect(connectionId, code, reason)
+  }
+}
@@ -0,0 +1,229 @@
+/// <reference types="node" />
+import {
+  createAdaptorServer,
+  type HttpBindings,
+  type ServerType,
+} from "@hono/node-server"
+import type { Hono } from "hono"
+import { STATUS_CODES, type IncomingMessage } from "node:http"
+import type { Duplex } from "node:stream"
+import { WebSocketServer } from "ws"
+import type { AppEnv, Env } from "../env"
+import { Hub } from "../websocket/hub"
+import type { AcceptSocket, HubState, HubStorage } from "./types"
+
+// Durable Object storage kept in memory, so hubs start empty with every
+// process. Values are copied in and out like the real storage does.
+class MemoryStorage implements HubStorage {
+  private values = new Map<string, unknown>()
+  private alarmAt: number | null = null
+  private alarmTimer: ReturnType<typeof setTimeout> | null = null
+
+  constructor(private onAlarm: () => Promise<void>) {}
+
+  async get<T = unknown>(key: string) {
+    return structuredClone(this.values.get(key)) as T | undefined
+  }
+
+  async put<T>(key: string, value: T) {
+    this.values.set(key, structuredClone(value))
+  }
+
+  async delete(key: string) {
+    return this.values.delete(key)
+  }
+
+  async list<T = unknown>(options: { prefix?: string; start?: string } = {}) {
+    const { prefix = "", start = "" } = options
+    const keys = [...this.values.keys()]
+      .filter((key) => key.startsWith(prefix) && key >= start)
+      .sort()
+    return new Map(
+      keys.map((key) => [key, structuredClone(this.values.get(key)) as T])
+    )
+  }
+
+  async getAlarm() {
+    return this.alarmAt
+  }
+
+  async setAlarm(scheduledTime: number) {
+    if (this.alarmTimer) clearTimeout(this.alarmTimer)
+    this.alarmAt = scheduledTime
+    this.alarmTimer = setTimeout(() => {
+      this.alarmAt = null
+      this.alarmTimer = null
+      this.onAlarm().catch((error) => console.error("Alarm failed:", error))
+    }, Math.max(0, scheduledTime - Date.now()))
+    // The server keeps the process alive, a pending heartbeat does not
+    this.alarmTimer.unref()
+  }
+}
+
+interface PendingUpgrade {
+  incoming: IncomingMessage
+  socket: Duplex
+  head: Buffer
+  accepted: boolean
+}
+
+// Upgrades travel through the app as Requests, this finds their sockets
+const pendingUpgrades = new WeakMap<Request, PendingUpgrade>()
+
+// Completes the handshake on the raw socket of the request's upgrade. Node
+// cannot answer with a 101 Response, the response only reports success.
+export const acceptNodeSocket: AcceptSocket = (request, protocol) => {
+  const upgrade = pendingUpgrades.get(request)
+  if (!upgrade) throw new Error("Request is not a pending WebSocket upgrade")
+
+  const server = new WebSocketServer({
+    noServer: true,
+    clientTracking: false,
+    handleProtocols: () => protocol ?? false,
+  })
+  let socket: WebSocket | null = null
+  server.handleUpgrade(upgrade.incoming, upgrade.socket, upgrade.head, (ws) => {
+    // Binary frames arrive as ArrayBuffers, like on Workers
+    ws.binaryType = "arraybuffer"
+    socket = ws as unknown as WebSocket
+  })
+  if (!socket) throw new Error("WebSocket handshake failed")
+
+  upgrade.accepted = true
+  return { socket, response: new Response(null, { status: 200 }) }
+}
+
+// Hubs without connections are dropped, storage and all, once unused for
+// this long. Any client can name a hub, so they must not pile up.
+const IDLE_HUB_TTL_MS = 60000
+
+// Stands in for the WEBSOCKET_HUB binding: one hub per name in this process.
+// The stub of a hub is the hub itself.
+export const nodeHubNamespace = (env: Env) => {
+  const hubs = new Map<string, { hub: Hub; usedAt: number }>()
+  const get = (name: string) => {
+    const now = Date.now()
+    for (const [idle, entry] of hubs) {
+      if (entry.hub.isIdle && now - entry.usedAt >= IDLE_HUB_TTL_MS) {
+        hubs.delete(idle)
+      }
+    }
+
+    let entry = hubs.get(name)
+    if (!entry) {
+      const state: HubState = {
+        storage: new MemoryStorage(() => created.alarm()),
+        waitUntil: (promise) => {
+          promise.catch((error) =>
+            console.error("Background task failed:", error)
+          )
+        },
+      }
+      const created = new Hub(state, env, acceptNodeSocket)
+      entry = { hub: created, usedAt: now }
+      hubs.set(name, entry)
+    }
+    entry.usedAt = now
+    return entry.hub
+  }
+  return {
+    idFromName: (name: string) => name,
+    get,
+  } as unknown as Env["WEBSOCKET_HUB"]
+}
+
+// Bindings from environment variables, plus the in-memory hubs. Without
+// JWT_SECRET tokens are signed with a random secret that dies with the
+// process.
+export const nodeEnv = (vars: Record<string, string | undefined>): Env => {
+  const env = { ...vars } as unknown as Env
+  if (!env.JWT_SECRET) {
+    console.warn("JWT_SECRET is not set, tokens will not outlive this process")
+    env.JWT_SECRET = crypto.randomUUID()
+  }
+  env.WEBSOCKET_HUB = nodeHubNamespace(env)
+  return env
+}
+
+// The client address is passed on as CF-Connecting-IP, which Cloudflare
+// sets on Workers. A value sent by the client is replaced.
+const setClientAddress = (headers: Headers, incoming: IncomingMessage) =>
+  headers.set("CF-Connecting-IP", incoming.socket.remoteAddress ?? "")
+
+// The Request of an upgrade
+const upgradeRequest = (incoming: IncomingMessage) => {
+  const headers = new Headers()
+  for (const [name, value] of Object.entries(incoming.headers)) {
+    if (value === undefined) continue
+    for (const entry of Array.isArray(value) ? value : [value]) {
+      headers.append(name, entry)
+    }
+  }
+  setClientAddress(headers, incoming)
+  const host = incoming.headers.host ?? "localhost"
+  return new Request(`http://${host}${incoming.url ?? "/"}`, { headers })
+}
+
+// A Request of the HTTP server, such as GET /events, with the client address
+const clientRequest = (request: Request, incoming: IncomingMessage) => {
+  const headers = new Headers(request.headers)
+  setClientAddress(headers, incoming)
+  return new Request(request, { headers })
+}
+
+// Writes a response the app gave instead of accepting the upgrade
+const refuseUpgrade = async (socket: Duplex, response: Response) => {
+  const body = Buffer.from(await response.arrayBuffer())
+  const { status } = response
+  const lines = [`HTTP/1.1 ${status} ${STATUS_CODES[status] ?? ""}`]
+  response.headers.forEach((value, name) => lines.push(`${name}: ${value}`))
+  lines.push(`Content-Length: ${body.byteLength}`, "Connection: close")
+  socket.end(
+    Buffer.concat([Buffer.from(`${lines.join("\r\n")}\r\n\r\n`), body])
+  )
+}
+
+export interface NodeServerOptions {
+  app: Hono<AppEnv>
+  env: Env
+}
+
+// HTTP server for the app. Upgrades go through the app's routes like on
+// Workers, so /websocket answers them with the hub named by `?hub=`.
+export const createNodeServer = ({
+  app,
+  env,
+}: NodeServerOptions): ServerType => {
+  const server = createAdaptorServer({
+    fetch: (request, bindings) =>
+      app.fetch(
+        clientRequest(request, (bindings as HttpBindings).incoming),
+        env
+      ),
+  })
+
+  server.on(
+    "upgrade",
+    async (incoming: IncomingMessage, socket: Duplex, head: Buffer) => {
+      const request = upgradeRequest(incoming)
+      const upgrade: PendingUpgrade = {
+        incoming,
+        socket,
+        head,
+        accepted: false,
+      }
+      pendingUpgrades.set(request, upgrade)
+      try {
+        const response = await app.fetch(request, env)
+        if (!upgrade.accepted && !socket.destroyed) {
+          await refuseUpgrade(socket, response)
+        }
+      } catch (error) {
+        console.error("Upgrade failed:", error)
+        socket.destroy()
+      }
+    }
+  )
+
+  return server
+}
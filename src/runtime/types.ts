@@ -0,0 +1,31 @@
+// What the hub needs from the platform it runs on. Cloudflare provides it
+// with a Durable Object per hub (./cloudflare.ts), Node with in-memory hubs
+// in one process (./node.ts).
+
+// The part of DurableObjectStorage the hub uses
+export interface HubStorage {
+  get<T = unknown>(key: string): Promise<T | undefined>
+  put<T>(key: string, value: T): Promise<void>
+  delete(key: string): Promise<boolean>
+  list<T = unknown>(options?: {
+    prefix?: string
+    start?: string
+  }): Promise<Map<string, T>>
+  getAlarm(): Promise<number | null>
+  // Calls the hub's `alarm()` at the given time, replacing any earlier alarm
+  setAlarm(scheduledTime: number): Promise<void>
+}
+
+export interface HubState {
+  storage: HubStorage
+  // Keeps the hub alive until the promise settles
+  waitUntil(promise: Promise<unknown>): void
+}
+
+// Completes the WebSocket upgrade of `request`, selecting `protocol` when
+// set. `socket` is the server end, ready for listeners, and `response` is
+// what the hub answers the upgrade with.
+export type AcceptSocket = (
+  request: Request,
+  protocol: string | null
+) => { socket: WebSocket; response: Response }
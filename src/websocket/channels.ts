@@ -0,0 +1,93 @@
+import type { ErrorCode } from "@cf-worker-02/protocol"
+
+// Channel names are short identifiers such as "broadcast" or "orders:eu"
+export const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9_.:-]{1,64}$/
+
+// Only the server may publish to channels with this prefix
+export const SYSTEM_CHANNEL_PREFIX = "system:"
+
+export type ChannelCheck =
+  | { ok: true }
+  | { ok: false; code: ErrorCode; message: string }
+
+// Tracks which connections are subscribed to which channels
+export class ChannelRegistry {
+  private channels = new Map<string, Set<string>>()
+
+  // `allowed` restricts the channels clients may use; empty allows any name
+  constructor(private allowed: string[] = []) {}
+
+  check(channel: unknown, action: "subscribe" | "publish"): ChannelCheck {
+    if (typeof channel !== "string" || !CHANNEL_NAME_PATTERN.test(channel)) {
+      return {
+        ok: false,
+        code: "INVALID_MESSAGE",
+        message: "Invalid channel name",
+      }
+    }
+    if (this.allowed.length > 0 && !this.allowed.includes(channel)) {
+      return {
+        ok: false,
+        code: "CHANNEL_NOT_FOUND",
+        message: `Channel not found: ${channel}`,
+      }
+    }
+    if (action === "publish" && channel.startsWith(SYSTEM_CHANNEL_PREFIX)) {
+      return {
+        ok: false,
+        code: "FORBIDDEN",
+        message: `Publishing to ${channel} is forbidden`,
+      }
+    }
+    return { ok: true }
+  }
+
+  subscribe(channel: string, connectionId: string): number {
+    let subscribers = this.channels.get(channel)
+    if (!subscribers) {
+      subscribers = new Set()
+      this.channels.set(channel, subscribers)
+    }
+    subscribers.add(connectionId)
+    return subscribers.size
+  }
+
+  unsubscribe(channel: string, connectionId: string): boolean {
+    const subscribers = this.channels.get(channel)
+    if (!subscribers || !subscribers.delete(connectionId)) return false
+    if (subscribers.size === 0) this.channels.delete(channel)
+    return true
+  }
+
+  // Drops the connection from every channel, returning the channels it left
+  unsubscribeAll(connectionId: string): string[] {
+    const left: string[] = []
+    for (const channel of [...this.channels.keys()]) {
+      if (this.unsubscribe(channel, connectionId)) left.push(channel)
+    }
+    return left
+  }
+
+  isSubscribed(channel: string, connectionId: string): boolean {
+    return this.channels.get(channel)?.has(connectionId) ?? false
+  }
+
+  subscribers(channel: string): string[] {
+    return [...(this.channels.get(channel) ?? [])]
+  }
+
+  channelsOf(connectionId: string): string[] {
+    return [...this.channels.entries()]
+      .filter(([, subscribers]) => subscribers.has(connectionId))
+      .map(([channel]) => channel)
+  }
+
+  counts(): Record<string, number> {
+    return Object.fromEntries(
+      [...this.channels.entries()].map(([channel, subscribers]) => [
+        channel,
+        subscribers.size,
+      ])
+    )
+  }
+}
@@ -0,0 +1,127 @@
+// Server-Sent Events transport for clients behind proxies that block
+// WebSocket upgrades. The hub treats an event stream like any socket.
+
+// readyState values of WebSocket, which Node 20 does not define globally
+const OPEN = 1
+const CLOSED = 3
+
+// Close code of a connection that dropped without a close frame
+const CLOSE_ABNORMAL = 1006
+
+// Events kept for clients that reconnect with Last-Event-ID
+const MAX_REPLAY_EVENTS = 100
+
+const encoder = new TextEncoder()
+
+// Multi-line data is split into `data:` lines, which the client joins again
+const eventText = (id: string, data: string) =>
+  `id: ${id}\n${data
+    .split("\n")
+    .map((line) => `data: ${line}`)
+    .join("\n")}\n\n`
+
+export const acceptsEventStream = (request: Request) =>
+  (request.headers.get("Accept") ?? "").includes("text/event-stream")
+
+// Event ids are "<resumeToken>:<number>", so the Last-Event-ID an EventSource
+// reconnects with resumes its session. Clients that reconnect themselves
+// pass it as the `lastEventId` query param.
+export const lastEventId = (
+  request: Request
+): { token: string; seen: number } | null => {
+  const id =
+    request.headers.get("Last-Event-ID") ??
+    new URL(request.url).searchParams.get("lastEventId")
+  const separator = id?.lastIndexOf(":") ?? -1
+  if (!id || separator < 0) return null
+  const seen = Number(id.slice(separator + 1))
+  return Number.isInteger(seen) ? { token: id.slice(0, separator), seen } : null
+}
+
+// The server end of an event stream, shaped like the WebSocket the hub
+// expects. Frames written with `send` become events of `response`, and
+// messages the client POSTs are dispatched as `message` events. Streams
+// carry text only, so their sessions use JSON.
+export class EventStreamSocket extends EventTarget {
+  readyState = OPEN
+  readonly response: Response
+  private controller!: ReadableStreamDefaultController<Uint8Array>
+  private prefix = ""
+  private lastId = 0
+  private recent: { id: number; frame: string }[] = []
+
+  constructor() {
+    super()
+    const stream = new ReadableStream<Uint8Array>({
+      start: (controller) => {
+        this.controller = controller
+      },
+      // The client went away
+      cancel: () => this.closed(CLOSE_ABNORMAL, "Event stream closed"),
+    })
+    this.response = new Response(stream, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+      },
+    })
+  }
+
+  // Names the following events after the session's current resume token
+  nameEvents(resumeToken: string) {
+    this.prefix = resumeToken
+  }
+
+  // Continues the numbering of the stream a resumed session used before,
+  // sending the events after `seen` again
+  continueFrom(previous: unknown, seen: number | null) {
+    if (!(previous instanceof EventStreamSocket)) return
+    this.lastId = previous.lastId
+    if (seen === null) return
+    for (const event of previous.recent) {
+      if (event.id > seen) this.send(event.frame)
+    }
+  }
+
+  send(frame: string | ArrayBuffer | ArrayBufferView) {
+    if (typeof frame !== "string") {
+      throw new Error("Event streams carry text frames only")
+    }
+    if (this.readyState !== OPEN) throw new Error("Event stream is closed")
+
+    const id = ++this.lastId
+    this.recent.push({ id, frame })
+    if (this.recent.length > MAX_REPLAY_EVENTS) this.recent.shift()
+    this.controller.enqueue(
+      encoder.encode(eventText(`${this.prefix}:${id}`, frame))
+    )
+  }
+
+  // Ends the stream with a `close` event, after which clients must not
+  // reconnect the way EventSource does by default
+  close(code = 1000, reason = "") {
+    if (this.readyState !== OPEN) return
+    this.controller.enqueue(
+      encoder.encode(
+        `event: close\ndata: ${JSON.stringify({ code, reason })}\n\n`
+      )
+    )
+    this.controller.close()
+    this.closed(code, reason)
+  }
+
+  private closed(code: number, reason: string) {
+    if (this.readyState === CLOSED) return
+    this.readyState = CLOSED
+    // Dispatched later, like the close event of a WebSocket
+    queueMicrotask(() =>
+      this.dispatchEvent(
+        Object.assign(new Event("close"), {
+          code,
+          reason,
+          wasClean: code !== CLOSE_ABNORMAL,
+        })
+      )
+    )
+  }
+}
@@ -0,0 +1,30 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { createId } from "../ids"
+import { defineHandler } from "../router"
+
+export const broadcast = defineHandler({
+  type: "broadcast",
+  schema: clientPayloads.broadcast,
+  permission: "anyone",
+  handle: ({ hub, session }, payload): ServerMessageOf<"broadcast_sent"> => {
+    const broadcastId = createId("bc")
+    const message: ServerMessageOf<"broadcast"> = {
+      type: "broadcast",
+      broadcastId,
+      sender: session.connectionId,
+      content: payload.content,
+      timestamp: new Date().toISOString(),
+    }
+    const delivered = hub.broadcast(message, {
+      exclude: payload.excludeSelf ? session.connectionId : undefined,
+    })
+
+    // Tell the originator how many connections received the broadcast
+    return {
+      type: "broadcast_sent",
+      broadcastId,
+      delivered,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
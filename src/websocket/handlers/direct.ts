@@ -0,0 +1,75 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { createId } from "../ids"
+import { defineHandler, ProtocolError } from "../router"
+
+// Delivers a message to one connection (`to`) or to every socket of an
+// authenticated user (`toUser`). Messages for an offline user are queued
+// when `queue` is set and delivered on their next connection, which only
+// authenticated senders may do. Detached targets keep the message until
+// they resume.
+export const direct = defineHandler({
+  type: "direct",
+  schema: clientPayloads.direct,
+  permission: "anyone",
+  handle: async (
+    { hub, session },
+    { to, toUser, content, queue }
+  ): Promise<ServerMessageOf<"direct_status">> => {
+    if ((to === undefined) === (toUser === undefined)) {
+      throw new ProtocolError(
+        "INVALID_MESSAGE",
+        "Direct message needs either a `to` connectionId or a `toUser` user id"
+      )
+    }
+    if (queue && to !== undefined) {
+      throw new ProtocolError(
+        "INVALID_MESSAGE",
+        "Only messages to a `toUser` can be queued"
+      )
+    }
+    if (queue && !session.user) {
+      throw new ProtocolError(
+        "UNAUTHORIZED",
+        "Authentication required to queue direct messages"
+      )
+    }
+
+    const messageId = createId("dm")
+    const payload: ServerMessageOf<"direct"> = {
+      type: "direct",
+      messageId,
+      from: session.connectionId,
+      fromUser: session.userId,
+      content,
+      timestamp: new Date().toISOString(),
+    }
+
+    const targets =
+      to !== undefined
+        ? [hub.getSession(to)].filter((target) => target !== undefined)
+        : hub.sessionsOf(toUser as string)
+    let delivered = 0
+    let queued = false
+    for (const target of targets) {
+      if (!hub.send(target, payload)) continue
+      if (target.detachedAt === null) delivered++
+      else queued = true
+    }
+
+    if (delivered === 0 && !queued && queue && toUser !== undefined) {
+      await hub.enqueueDirect(toUser, payload)
+      queued = true
+    }
+
+    return {
+      type: "direct_status",
+      messageId,
+      to,
+      toUser,
+      status: delivered > 0 ? "delivered" : queued ? "queued" : "offline",
+      delivered,
+      queued,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
@@ -0,0 +1,17 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { defineHandler } from "../router"
+
+// Sends the content back to the sender. Registered for `echo`, for JSON
+// messages without a type ("message") and for plain text frames ("text").
+export const echoHandler = (type: "echo" | "message" | "text") =>
+  defineHandler({
+    type,
+    schema: clientPayloads[type],
+    permission: "anyone",
+    handle: ({ session, raw }, { content }): ServerMessageOf<"echo"> => ({
+      type: "echo",
+      content: content === undefined ? raw : content,
+      connectionId: session.connectionId,
+      timestamp: new Date().toISOString(),
+    }),
+  })
@@ -0,0 +1,20 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { defineHandler } from "../router"
+
+export const ping = defineHandler({
+  type: "ping",
+  schema: clientPayloads.ping,
+  permission: "anyone",
+  handle: (): ServerMessageOf<"pong"> => ({
+    type: "pong",
+    timestamp: Date.now(),
+  }),
+})
+
+// Answer to a server heartbeat, the hub has already marked the session alive
+export const pong = defineHandler({
+  type: "pong",
+  schema: clientPayloads.pong,
+  permission: "anyone",
+  handle: () => {},
+})
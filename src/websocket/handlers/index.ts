@@ -0,0 +1,26 @@
+import type { MessageHandler } from "../router"
+import { broadcast } from "./broadcast"
+import { direct } from "./direct"
+import { echoHandler } from "./echo"
+import { ping, pong } from "./heartbeat"
+import { presence } from "./presence"
+import { publish } from "./publish"
+import { subscribe, unsubscribe } from "./subscribe"
+import { userInfo } from "./user-info"
+
+// Message types understood by every hub. App-specific types are added by
+// writing a handler module and listing it here.
+export const defaultHandlers: MessageHandler[] = [
+  ping,
+  pong,
+  echoHandler("echo"),
+  echoHandler("message"),
+  echoHandler("text"),
+  broadcast,
+  subscribe,
+  unsubscribe,
+  publish,
+  presence,
+  direct,
+  userInfo,
+]
@@ -0,0 +1,22 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { defineHandler } from "../router"
+
+// Lists the connections of the hub, or the subscribers of `channel`
+export const presence = defineHandler({
+  type: "presence",
+  schema: clientPayloads.presence,
+  permission: "anyone",
+  handle: ({ hub }, { channel }): ServerMessageOf<"presence_state"> => {
+    const users =
+      channel === undefined
+        ? hub.connectionIds()
+        : hub.channels.subscribers(channel)
+    return {
+      type: "presence_state",
+      channel,
+      users,
+      totalUsers: users.length,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
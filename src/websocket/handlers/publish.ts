@@ -0,0 +1,34 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { defineHandler, ProtocolError } from "../router"
+
+export const publish = defineHandler({
+  type: "publish",
+  schema: clientPayloads.publish,
+  permission: "anyone",
+  handle: async (
+    { hub, session },
+    payload
+  ): Promise<ServerMessageOf<"published">> => {
+    const { channel } = payload
+    const check = hub.channels.check(channel, "publish")
+    if (!check.ok) {
+      throw new ProtocolError(check.code, check.message, { channel })
+    }
+
+    const { message, delivered } = await hub.publishMessage(
+      channel,
+      session.connectionId,
+      payload.content,
+      { exclude: payload.excludeSelf ? session.connectionId : undefined }
+    )
+
+    return {
+      type: "published",
+      channel,
+      seq: message.seq,
+      messageId: message.messageId,
+      delivered,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
@@ -0,0 +1,71 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { defineHandler, ProtocolError } from "../router"
+
+// With `since`, the stored messages the client missed are replayed before
+// the confirmation. Nothing is awaited between subscribing and replaying, so
+// live messages only follow the replay.
+export const subscribe = defineHandler({
+  type: "subscribe",
+  schema: clientPayloads.subscribe,
+  permission: "anyone",
+  handle: async (
+    { hub, session },
+    { channel, since }
+  ): Promise<ServerMessageOf<"subscribed">> => {
+    const check = hub.channels.check(channel, "subscribe")
+    if (!check.ok) {
+      throw new ProtocolError(check.code, check.message, { channel })
+    }
+    if (typeof since === "string" && Number.isNaN(Date.parse(since))) {
+      throw new ProtocolError(
+        "INVALID_MESSAGE",
+        "`since` must be a sequence number or an ISO 8601 timestamp",
+        { channel }
+      )
+    }
+
+    const { messages: missed, truncated } =
+      since === undefined
+        ? { messages: [], truncated: false }
+        : await hub.history.since(channel, since)
+    const seq = await hub.history.latestSeq(channel)
+
+    const isNew = !hub.channels.isSubscribed(channel, session.connectionId)
+    const subscribers = hub.channels.subscribe(channel, session.connectionId)
+    if (isNew) hub.announcePresence("user_joined", session, channel)
+    for (const message of missed) {
+      hub.send(session, { ...message, replayed: true })
+    }
+    return {
+      type: "subscribed",
+      channel,
+      subscribers,
+      seq,
+      replayed: missed.length,
+      truncated,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
+
+export const unsubscribe = defineHandler({
+  type: "unsubscribe",
+  schema: clientPayloads.unsubscribe,
+  permission: "anyone",
+  handle: ({ hub, session }, { channel }): ServerMessageOf<"unsubscribed"> => {
+    if (!hub.channels.unsubscribe(channel, session.connectionId)) {
+      throw new ProtocolError(
+        "NOT_FOUND",
+        `Not subscribed to channel: ${channel}`,
+        { channel }
+      )
+    }
+
+    hub.announcePresence("user_left", session, channel)
+    return {
+      type: "unsubscribed",
+      channel,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
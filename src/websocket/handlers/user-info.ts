@@ -0,0 +1,36 @@
+import { clientPayloads, type ServerMessageOf } from "@cf-worker-02/protocol"
+import { isAdmin } from "../../auth"
+import { defineHandler, ProtocolError } from "../router"
+
+// Describes the sender's connection, or with `target` another connection
+// of the hub, which requires the admin role
+export const userInfo = defineHandler({
+  type: "user_info",
+  schema: clientPayloads.user_info,
+  permission: "anyone",
+  handle: (
+    { hub, session },
+    payload
+  ): ServerMessageOf<"user_info_response"> => {
+    const target = payload.target ?? session.connectionId
+    if (target !== session.connectionId && !isAdmin(session.user)) {
+      throw new ProtocolError(
+        "FORBIDDEN",
+        "Admin role required to inspect other connections"
+      )
+    }
+
+    const info = hub.getConnectionInfo(target)
+    if (!info) {
+      throw new ProtocolError("NOT_FOUND", `Connection not found: ${target}`, {
+        target,
+      })
+    }
+    return {
+      type: "user_info_response",
+      ...info,
+      connectionCount: hub.connectionCount,
+      timestamp: new Date().toISOString(),
+    }
+  },
+})
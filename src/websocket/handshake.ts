@@ -0,0 +1,55 @@
+import {
+  isEncoding,
+  negotiateVersion,
+  parseVersionProtocol,
+  type Encoding,
+} from "@cf-worker-02/protocol"
+import { AUTH_PROTOCOL } from "../auth"
+
+export interface Handshake {
+  // Negotiated protocol version, null when only unsupported ones were asked for
+  version: number | null
+  // Null when an unknown encoding was asked for
+  encoding: Encoding | null
+  // Subprotocol selected in the 101 response. Browsers drop the socket when
+  // they offered subprotocols and none is selected.
+  protocol: string | null
+}
+
+// Reads the requested protocol version and encoding from the
+// Sec-WebSocket-Protocol header ("cfws.v1", "cfws.v1.msgpack"), falling back
+// to the `version` and `encoding` query params
+export const negotiateHandshake = (request: Request): Handshake => {
+  const offered = (request.headers.get("Sec-WebSocket-Protocol") ?? "")
+    .split(",")
+    .map((protocol) => protocol.trim())
+    .filter(Boolean)
+  const versionOffers = offered.flatMap((protocol) => {
+    const parsed = parseVersionProtocol(protocol)
+    return parsed ? [{ protocol, ...parsed }] : []
+  })
+
+  if (versionOffers.length > 0) {
+    const version = negotiateVersion(
+      versionOffers.map((offer) => offer.version)
+    )
+    // The client's first offer for that version decides the encoding
+    const accepted = versionOffers.find((offer) => offer.version === version)
+    return {
+      version,
+      encoding: accepted?.encoding ?? "json",
+      // An unsupported offer is still selected, so the client sees the close
+      // code
+      protocol: accepted?.protocol ?? versionOffers[0].protocol,
+    }
+  }
+
+  const params = new URL(request.url).searchParams
+  const version = params.get("version")
+  const encoding = params.get("encoding") ?? "json"
+  return {
+    version: negotiateVersion(version ? [Number(version)] : []),
+    encoding: isEncoding(encoding) ? encoding : null,
+    protocol: offered.includes(AUTH_PROTOCOL) ? AUTH_PROTOCOL : null,
+  }
+}
@@ -0,0 +1,111 @@
+import type { ServerMessageOf } from "@cf-worker-02/protocol"
+import type { HubStorage } from "../runtime/types"
+
+type ChannelMessage = ServerMessageOf<"channel_message">
+
+// "/" cannot appear in channel names, so one channel's prefix never matches
+// another channel's keys
+const seqKey = (channel: string) => `history-seq/${channel}`
+const messagePrefix = (channel: string) => `history/${channel}/`
+const messageKey = (channel: string, seq: number) =>
+  `${messagePrefix(channel)}${String(seq).padStart(12, "0")}`
+
+// Keeps the newest `limit` messages of every channel in Durable Object
+// storage, numbered by a per-channel sequence that starts at 1. A limit of
+// 0 keeps no messages but still numbers them.
+export class ChannelHistory {
+  private seqs = new Map<string, number>()
+  // Latest append of each channel still being stored
+  private appending = new Map<string, Promise<ChannelMessage>>()
+
+  constructor(private storage: HubStorage, readonly limit: number) {}
+
+  // Last sequence number used in the channel, 0 before its first message
+  async latestSeq(channel: string): Promise<number> {
+    let seq = this.seqs.get(channel)
+    if (seq === undefined) {
+      seq = (await this.storage.get<number>(seqKey(channel))) ?? 0
+      this.seqs.set(channel, seq)
+    }
+    return seq
+  }
+
+  // First sequence number still stored, latestSeq + 1 when there is none
+  async oldestSeq(channel: string): Promise<number> {
+    const latest = await this.latestSeq(channel)
+    return this.limit > 0 ? Math.max(1, latest - this.limit + 1) : latest + 1
+  }
+
+  // Numbers the message and stores it, dropping the oldest one beyond the
+  // limit. Appends to a channel run one after another, so messages sent at
+  // the same time still get consecutive numbers.
+  append(message: Omit<ChannelMessage, "seq">): Promise<ChannelMessage> {
+    const { channel } = message
+    const previous = this.appending.get(channel)
+    const appended = (previous ?? Promise.resolve())
+      .catch(() => undefined)
+      .then(() => this.store(message))
+    this.appending.set(channel, appended)
+    appended
+      .finally(() => {
+        if (this.appending.get(channel) === appended) {
+          this.appending.delete(channel)
+        }
+      })
+      .catch(() => undefined)
+    return appended
+  }
+
+  private async store(
+    message: Omit<ChannelMessage, "seq">
+  ): Promise<ChannelMessage> {
+    const { channel } = message
+    const seq = (await this.latestSeq(channel)) + 1
+    this.seqs.set(channel, seq)
+    const numbered: ChannelMessage = { ...message, seq }
+
+    await this.storage.put(seqKey(channel), seq)
+    if (this.limit > 0) {
+      await this.storage.put(messageKey(channel, seq), numbered)
+      if (seq > this.limit) {
+        await this.storage.delete(messageKey(channel, seq - this.limit))
+      }
+    }
+    return numbered
+  }
+
+  // Stored messages after `since`: a sequence number, or an ISO 8601
+  // timestamp compared with the message timestamps. `truncated` is set when
+  // messages after `since` may already have been dropped.
+  async since(
+    channel: string,
+    since: number | string
+  ): Promise<{ messages: ChannelMessage[]; truncated: boolean }> {
+    const oldest = await this.oldestSeq(channel)
+    if (typeof since === "number") {
+      const after = Math.max(0, Math.floor(since))
+      return {
+        messages: await this.stored(channel, after + 1),
+        truncated: after + 1 < oldest,
+      }
+    }
+
+    const after = Date.parse(since)
+    const messages = (await this.stored(channel)).filter(
+      (message) => Date.parse(message.timestamp) > after
+    )
+    // Timestamps of dropped messages are unknown. They may be after `since`
+    // when even the oldest stored message is, or when none are stored.
+    const first = messages[0]?.seq ?? (await this.latestSeq(channel)) + 1
+    return { messages, truncated: oldest > 1 && first === oldest }
+  }
+
+  private async stored(channel: string, fromSeq?: number) {
+    if (this.limit === 0) return []
+    const stored = await this.storage.list<ChannelMessage>({
+      prefix: messagePrefix(channel),
+      start: fromSeq === undefined ? undefined : messageKey(channel, fromSeq),
+    })
+    return [...stored.values()]
+  }
+}
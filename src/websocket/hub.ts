@@ -0,0 +1,970 @@
+import {
+  CLOSE_HEARTBEAT_TIMEOUT,
+  CLOSE_MESSAGE_TOO_BIG,
+  CLOSE_POLICY_VIOLATION,
+  CLOSE_UNAUTHORIZED,
+  CLOSE_UNSUPPORTED_VERSION,
+  ENCODINGS,
+  SUPPORTED_VERSIONS,
+  checkMessageShape,
+  checkMessageSize,
+  codecFor,
+  type Codec,
+  type Encoding,
+  type ErrorCode,
+  type AckStatus,
+  type ConnectionInfo,
+  type HubStats,
+  type ServerMessageOf,
+} from "@cf-worker-02/protocol"
+import { tokenFromUpgrade, verifyToken } from "../auth"
+import type { Env } from "../env"
+import type { AcceptSocket, HubState } from "../runtime/types"
+import { ChannelRegistry, type ChannelCheck } from "./channels"
+import {
+  acceptsEventStream,
+  EventStreamSocket,
+  lastEventId,
+} from "./event-stream"
+import { defaultHandlers } from "./handlers"
+import { negotiateHandshake } from "./handshake"
+import { ChannelHistory } from "./history"
+import { createId } from "./ids"
+import {
+  maxLimitViolationsFromEnv,
+  messageLimitsFromEnv,
+} from "./message-limits"
+import {
+  frameSize,
+  limitFrom,
+  messageBuckets,
+  rateLimitsFromEnv,
+  upgradeBucket,
+  type TokenBucket,
+} from "./rate-limit"
+import { MessageRouter, ProtocolError } from "./router"
+import { Session } from "./session"
+
+const MAX_QUEUED_DIRECT_MESSAGES = 100
+const DEFAULT_HEARTBEAT_INTERVAL = 30000
+const DEFAULT_CHANNEL_HISTORY_LIMIT = 100
+const DEFAULT_RESUME_WINDOW = 60000
+const DEFAULT_DIRECT_QUEUE_TTL = 24 * 60 * 60 * 1000
+
+// Encodes a payload sent to many sessions once per encoding in use
+const frameEncoder = (payload: unknown) => {
+  const frames = new Map<Encoding, string | Uint8Array>()
+  return (codec: Codec) => {
+    let frame = frames.get(codec.encoding)
+    if (frame === undefined) {
+      frame = codec.encode(payload)
+      frames.set(codec.encoding, frame)
+    }
+    return frame
+  }
+}
+
+// Id of a client message, echoed in errors about it
+const messageIdOf = (messageData: any): string | number | undefined =>
+  typeof messageData?.id === "string" || typeof messageData?.id === "number"
+    ? messageData.id
+    : undefined
+
+const isObject = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value)
+
+// Storage key of the offline queue for a user's direct messages
+const DIRECT_QUEUE_PREFIX = "direct-queue:"
+const directQueueKey = (userId: string) => `${DIRECT_QUEUE_PREFIX}${userId}`
+
+interface QueuedDirect {
+  payload: object
+  expiresAt: number
+}
+
+export interface PublishedMessage {
+  messageId: string
+  seq: number
+  delivered: number
+}
+
+// Outcome of publishing over HTTP: the published messages, or why the
+// channel refused them
+export type PublishOutcome =
+  | { ok: true; messages: PublishedMessage[] }
+  | Extract<ChannelCheck, { ok: false }>
+
+const acceptEventStream = () => {
+  const socket = new EventStreamSocket()
+  return { socket: socket as unknown as WebSocket, response: socket.response }
+}
+
+// One instance per hub name. Every socket of the hub is accepted here, so
+// connections can reach each other through the `sessions` registry. The
+// runtime provides storage and sockets, see src/runtime.
+export class Hub {
+  private sessions = new Map<string, Session>()
+  readonly channels = new ChannelRegistry(
+    (this.env.ALLOWED_CHANNELS ?? "")
+      .split(",")
+      .map((channel) => channel.trim())
+      .filter(Boolean)
+  )
+  readonly history = new ChannelHistory(
+    this.ctx.storage,
+    limitFrom(this.env.CHANNEL_HISTORY_LIMIT, DEFAULT_CHANNEL_HISTORY_LIMIT)
+  )
+  private router = new MessageRouter(defaultHandlers)
+  private rateLimits = rateLimitsFromEnv(this.env)
+  private messageLimits = messageLimitsFromEnv(this.env)
+  private maxLimitViolations = maxLimitViolationsFromEnv(this.env)
+  private resumeWindowMs = limitFrom(
+    this.env.RESUME_WINDOW_MS,
+    DEFAULT_RESUME_WINDOW
+  )
+  private directQueueTtlMs =
+    limitFrom(this.env.DIRECT_QUEUE_TTL_MS, DEFAULT_DIRECT_QUEUE_TTL) ||
+    DEFAULT_DIRECT_QUEUE_TTL
+  // Joined sessions by resume token
+  private resumeTokens = new Map<string, Session>()
+  // Sessions that must send `auth` before joining, and when they must have
+  private authDeadlines = new Map<Session, number>()
+  // Upgrade attempts of a client IP, kept by the hub named
+  // UPGRADE_LIMIT_PREFIX + ip for every hub
+  private upgradeBuckets = new Map<string, TokenBucket>()
+  private startedAt = Date.now()
+  private counters = {
+    messagesIn: 0,
+    messagesOut: 0,
+    protocolErrors: 0,
+    sendErrors: 0,
+    socketErrors: 0,
+    rateLimited: 0,
+    connectionsTotal: 0,
+  }
+
+  constructor(
+    private ctx: HubState,
+    private env: Env,
+    private acceptSocket: AcceptSocket
+  ) {}
+
+  // Accepts WebSocket upgrades, and event stream requests from GET /events.
+  // An upgrade stays a WebSocket whatever its Accept header says.
+  async fetch(request: Request): Promise<Response> {
+    const eventStream =
+      request.headers.get("Upgrade") !== "websocket" &&
+      acceptsEventStream(request)
+    if (!eventStream && request.headers.get("Upgrade") !== "websocket") {
+      return new Response("Expected WebSocket upgrade", { status: 426 })
+    }
+
+    const handshake = negotiateHandshake(request)
+    const { socket: server, response } = eventStream
+      ? acceptEventStream()
+      : this.acceptSocket(request, handshake.protocol)
+    const encodings: readonly Encoding[] = eventStream ? ["json"] : ENCODINGS
+
+    const session = new Session(
+      server,
+      request,
+      messageBuckets(this.rateLimits)
+    )
+    if (handshake.version === null) {
+      session.close(
+        CLOSE_UNSUPPORTED_VERSION,
+        `Unsupported protocol version, supported: ${SUPPORTED_VERSIONS.join(
+          ", "
+        )}`
+      )
+      return response
+    }
+    if (
+      handshake.encoding === null ||
+      !encodings.includes(handshake.encoding)
+    ) {
+      session.close(
+        CLOSE_UNSUPPORTED_VERSION,
+        `Unsupported encoding, supported: ${encodings.join(", ")}`
+      )
+      return response
+    }
+    session.protocolVersion = handshake.version
+    session.codec = codecFor(handshake.encoding)
+
+    const token = tokenFromUpgrade(request)
+    if (token) {
+      session.user = await verifyToken(this.env, token)
+      if (!session.user) {
+        this.sendError(session, "UNAUTHORIZED", "Invalid token")
+        session.close(CLOSE_UNAUTHORIZED, "Invalid token")
+        return response
+      }
+    }
+
+    const lastEvent = eventStream ? lastEventId(request) : null
+    const resumed = this.resumable(
+      session,
+      new URL(request.url).searchParams.get("resume") ??
+        lastEvent?.token ??
+        null
+    )
+    if (resumed) {
+      if (session.user) resumed.user = session.user
+      this.resumeTokens.delete(resumed.resumeToken)
+      const previous = resumed.attach(server)
+      if (server instanceof EventStreamSocket) {
+        server.nameEvents(resumed.resumeToken)
+        server.continueFrom(previous, lastEvent?.seen ?? null)
+      }
+      this.listen(resumed, server)
+      this.rejoin(resumed)
+      return response
+    }
+
+    if (server instanceof EventStreamSocket) {
+      server.nameEvents(session.resumeToken)
+    }
+    this.listen(session, server)
+
+    // Without a token the first message must be `auth` when auth is required.
+    // Event streams cannot send it before they are welcomed.
+    if (session.user || this.env.WS_AUTH_REQUIRED !== "true") {
+      this.join(session)
+    } else if (eventStream) {
+      this.sendError(session, "UNAUTHORIZED", "Authentication required")
+      session.close(CLOSE_UNAUTHORIZED, "Authentication required")
+    } else {
+      // Closed by the alarm when the deadline passes
+      this.authDeadlines.set(session, Date.now() + this.heartbeatInterval)
+      this.ctx.waitUntil(this.scheduleHeartbeat())
+    }
+
+    return response
+  }
+
+  // Exposed over RPC for POST /events/:connectionId: a message of an event
+  // stream client, handled like a WebSocket frame. The resume token proves
+  // the client owns the connection. False when they do not match.
+  async postEvent(
+    connectionId: string,
+    resumeToken: string,
+    frame: string
+  ): Promise<boolean> {
+    const session = this.resumeTokens.get(resumeToken)
+    if (session?.connectionId !== connectionId) return false
+    await session.inOrder(() =>
+      this.onMessage(session, new MessageEvent("message", { data: frame }))
+    )
+    return true
+  }
+
+  // Exposed over RPC for DELETE /events/:connectionId, the event stream
+  // counterpart of closing a WebSocket with 1000
+  closeEventStream(connectionId: string, resumeToken: string): boolean {
+    const session = this.resumeTokens.get(resumeToken)
+    if (session?.connectionId !== connectionId) return false
+    if (session.detachedAt === null) session.close(1000, "Client closed")
+    this.removeSession(session)
+    return true
+  }
+
+  private listen(session: Session, socket: WebSocket) {
+    // A resumed session moves to a new socket, the old one is ignored
+    socket.addEventListener("message", (evt) => {
+      if (session.owns(socket)) {
+        session.inOrder(() => this.onMessage(session, evt))
+      }
+    })
+    socket.addEventListener("close", (evt) => {
+      if (session.owns(socket)) this.onClose(session, evt)
+    })
+    socket.addEventListener("error", (evt) => {
+      if (session.owns(socket)) this.onError(session, evt)
+    })
+  }
+
+  // The session a resume token belongs to, if the new connection may take
+  // it over: within the resume window of a disconnect, with the same
+  // encoding and, when it authenticated, as the same user
+  private resumable(
+    candidate: Session,
+    token: string | null
+  ): Session | undefined {
+    const session = token ? this.resumeTokens.get(token) : undefined
+    if (!session) return
+    if (this.resumeExpired(session)) {
+      this.removeSession(session)
+      return
+    }
+    if (candidate.codec.encoding !== session.codec.encoding) return
+    if (candidate.user && candidate.userId !== session.userId) return
+    return session
+  }
+
+  private resumeExpired(session: Session): boolean {
+    return (
+      session.detachedAt !== null &&
+      Date.now() - session.detachedAt > this.resumeWindowMs
+    )
+  }
+
+  // No sessions, sockets waiting to authenticate or upgrade budgets in use
+  get isIdle(): boolean {
+    return (
+      this.sessions.size === 0 &&
+      this.authDeadlines.size === 0 &&
+      this.upgradeBuckets.size === 0
+    )
+  }
+
+  get connectionCount(): number {
+    return this.sessions.size
+  }
+
+  getSession(connectionId: string): Session | undefined {
+    return this.sessions.get(connectionId)
+  }
+
+  connectionIds(): string[] {
+    return [...this.sessions.keys()]
+  }
+
+  // Every connection authenticated as the user
+  sessionsOf(userId: string): Session[] {
+    return [...this.sessions.values()].filter(
+      (session) => session.userId === userId
+    )
+  }
+
+  getConnectionInfo(connectionId: string): ConnectionInfo | null {
+    const session = this.sessions.get(connectionId)
+    if (!session) return null
+    return {
+      connectionId,
+      connectedAt: session.connectedAt,
+      userId: session.userId,
+      user: session.user,
+      channels: this.channels.channelsOf(connectionId),
+      messages: { in: session.messagesIn, out: session.messagesOut },
+      remote: session.remote,
+      detachedAt:
+        session.detachedAt === null
+          ? null
+          : new Date(session.detachedAt).toISOString(),
+    }
+  }
+
+  // Connections for the admin API, optionally only those subscribed to
+  // `channel` or authenticated as `userId`
+  listConnections(
+    filter: { channel?: string; userId?: string } = {}
+  ): ConnectionInfo[] {
+    const ids = filter.channel
+      ? this.channels.subscribers(filter.channel)
+      : this.connectionIds()
+    return ids
+      .map((connectionId) => this.getConnectionInfo(connectionId))
+      .filter(
+        (info): info is ConnectionInfo =>
+          info !== null &&
+          (filter.userId === undefined || info.userId === filter.userId)
+      )
+  }
+
+  // Sends an `admin_message` to one connection. Null when there is no such
+  // connection, `queued` when it is detached and waits to be resumed.
+  pushMessage(
+    connectionId: string,
+    content: unknown
+  ): { queued: boolean } | null {
+    const session = this.sessions.get(connectionId)
+    if (!session) return null
+    const message: ServerMessageOf<"admin_message"> = {
+      type: "admin_message",
+      content,
+      timestamp: new Date().toISOString(),
+    }
+    this.send(session, message)
+    return { queued: session.detachedAt !== null }
+  }
+
+  // Closes the connection and ends its session, so it cannot be resumed.
+  // False when there is no such connection.
+  disconnect(connectionId: string, code: number, reason: string): boolean {
+    const session = this.sessions.get(connectionId)
+    if (!session) return false
+    console.log(
+      `Disconnecting ${connectionId}: Code ${code}, Reason: ${reason}`
+    )
+    if (session.detachedAt === null) session.close(code, reason)
+    this.removeSession(session)
+    return true
+  }
+
+  send(session: Session, payload: unknown): boolean {
+    try {
+      session.send(payload)
+      this.counters.messagesOut++
+      return true
+    } catch (error) {
+      this.counters.sendErrors++
+      console.error(`Failed to send message to ${session.connectionId}:`, error)
+      return false
+    }
+  }
+
+  sendError(
+    session: Session,
+    code: ErrorCode,
+    message: string,
+    details: Record<string, unknown> = {}
+  ): boolean {
+    this.counters.protocolErrors++
+    return this.send(session, { type: "error", code, message, ...details })
+  }
+
+  // Answers a refused client message with an `error` carrying its id, and
+  // with an ack when it asked for one
+  private refuse(
+    session: Session,
+    messageData: any,
+    error: ProtocolError,
+    status: AckStatus = "rejected"
+  ) {
+    this.sendError(session, error.code, error.message, {
+      ...error.details,
+      id: messageIdOf(messageData),
+    })
+    this.sendAck(session, messageData, status, error)
+  }
+
+  // Exposed over RPC for GET /ws-stats
+  getStats(): HubStats {
+    return {
+      connectionCount: this.connectionCount,
+      channels: this.channels.counts(),
+      messages: {
+        in: this.counters.messagesIn,
+        out: this.counters.messagesOut,
+      },
+      errors: {
+        protocol: this.counters.protocolErrors,
+        send: this.counters.sendErrors,
+        socket: this.counters.socketErrors,
+        rateLimited: this.counters.rateLimited,
+      },
+      connectionsTotal: this.counters.connectionsTotal,
+      startedAt: new Date(this.startedAt).toISOString(),
+      uptimeSeconds: Math.floor((Date.now() - this.startedAt) / 1000),
+    }
+  }
+
+  // Returns the number of connections the payload was delivered to
+  broadcast(payload: unknown, options: { exclude?: string } = {}): number {
+    const frameFor = frameEncoder(payload)
+    let delivered = 0
+    for (const session of this.sessions.values()) {
+      if (session.connectionId === options.exclude) continue
+      if (this.send(session, frameFor(session.codec))) delivered++
+    }
+    return delivered
+  }
+
+  // Delivers the payload to every subscriber of the channel
+  publish(
+    channel: string,
+    payload: unknown,
+    options: { exclude?: string } = {}
+  ): number {
+    const frameFor = frameEncoder(payload)
+    let delivered = 0
+    for (const connectionId of this.channels.subscribers(channel)) {
+      if (connectionId === options.exclude) continue
+      const session = this.sessions.get(connectionId)
+      if (session && this.send(session, frameFor(session.codec))) delivered++
+    }
+    return delivered
+  }
+
+  // Numbers and stores a channel message, then delivers it to the
+  // subscribers. Stored first so replays and live delivery agree on `seq`.
+  async publishMessage(
+    channel: string,
+    sender: string,
+    content: unknown,
+    options: { exclude?: string } = {}
+  ) {
+    const message = await this.history.append({
+      type: "channel_message",
+      channel,
+      messageId: createId("msg"),
+      sender,
+      content,
+      timestamp: new Date().toISOString(),
+    })
+    return { message, delivered: this.publish(channel, message, options) }
+  }
+
+  // Exposed over RPC for POST /channels/:name/messages. The messages are
+  // published in order, all of them or none when the channel refuses.
+  async publishMessages(
+    channel: string,
+    sender: string,
+    contents: unknown[]
+  ): Promise<PublishOutcome> {
+    const check = this.channels.check(channel, "publish")
+    if (!check.ok) return check
+
+    const messages: PublishedMessage[] = []
+    for (const content of contents) {
+      const { message, delivered } = await this.publishMessage(
+        channel,
+        sender,
+        content
+      )
+      messages.push({
+        messageId: message.messageId,
+        seq: message.seq,
+        delivered,
+      })
+    }
+    return { ok: true, messages }
+  }
+
+  // Registers the session and announces it to the other connections
+  private join(session: Session) {
+    this.authDeadlines.delete(session)
+    this.sessions.set(session.connectionId, session)
+    this.resumeTokens.set(session.resumeToken, session)
+    this.counters.connectionsTotal++
+    this.ctx.waitUntil(this.scheduleHeartbeat())
+
+    this.sendWelcome(session, false)
+    this.announcePresence("user_joined", session)
+    if (session.user) {
+      this.ctx.waitUntil(this.flushDirectQueue(session))
+    }
+  }
+
+  // Welcomes a resumed session back under its new resume token. It never
+  // left as far as the other connections know, so nothing is announced.
+  private rejoin(session: Session) {
+    this.resumeTokens.set(session.resumeToken, session)
+    this.sendWelcome(session, true)
+    session.flushOutbox()
+    if (session.user) {
+      this.ctx.waitUntil(this.flushDirectQueue(session))
+    }
+  }
+
+  private sendWelcome(session: Session, resumed: boolean) {
+    const welcome: ServerMessageOf<"welcome"> = {
+      type: "welcome",
+      connectionId: session.connectionId,
+      protocolVersion: session.protocolVersion,
+      encoding: session.codec.encoding,
+      limits: this.messageLimits,
+      resumeToken: session.resumeToken,
+      resumeWindowMs: this.resumeWindowMs,
+      resumed,
+      userId: session.userId,
+      timestamp: new Date().toISOString(),
+      connectionCount: this.connectionCount,
+    }
+    this.send(session, welcome)
+  }
+
+  private async handleAuth(session: Session, messageData: any) {
+    const claims =
+      typeof messageData.token === "string"
+        ? await verifyToken(this.env, messageData.token)
+        : null
+    if (!claims) {
+      this.refuse(
+        session,
+        messageData,
+        new ProtocolError("UNAUTHORIZED", "Invalid token")
+      )
+      session.close(CLOSE_UNAUTHORIZED, "Invalid token")
+      return
+    }
+
+    session.user = claims
+    if (!this.sessions.has(session.connectionId)) {
+      this.join(session)
+    } else {
+      await this.flushDirectQueue(session)
+    }
+    this.send(session, {
+      type: "authenticated",
+      userId: claims.sub,
+      expiresAt: new Date(claims.exp * 1000).toISOString(),
+      timestamp: new Date().toISOString(),
+    })
+    this.sendAck(session, messageData, "accepted")
+  }
+
+  // Exposed over RPC for limitUpgrades: charges an upgrade to the client
+  // IP. Returns the milliseconds to wait before the next attempt, 0 when the
+  // upgrade is allowed.
+  chargeUpgrade(ip: string): number {
+    let bucket = this.upgradeBuckets.get(ip)
+    if (!bucket) {
+      bucket = upgradeBucket(this.rateLimits)
+      this.upgradeBuckets.set(ip, bucket)
+      // The alarm forgets the bucket once it is full again
+      this.ctx.waitUntil(this.scheduleHeartbeat())
+    }
+    if (bucket.take()) return 0
+    this.counters.rateLimited++
+    return bucket.retryAfter()
+  }
+
+  // Charges a frame to the session's buckets. Frames over the limit are
+  // answered with a `RATE_LIMITED` error and a rejected ack, then dropped,
+  // and a session that keeps sending them is closed.
+  private withinRateLimit(
+    session: Session,
+    size: number,
+    frame: string | ArrayBuffer
+  ): boolean {
+    const { messages, bytes, violations } = session.buckets
+    if (messages.take() && bytes.take(size)) return true
+
+    this.counters.rateLimited++
+    if (!violations.take()) {
+      console.log(`Rate limit violations from ${session.connectionId}`)
+      session.close(CLOSE_POLICY_VIOLATION, "Rate limit exceeded")
+      return false
+    }
+    const retryAfterMs = Math.max(messages.retryAfter(), bytes.retryAfter(size))
+    this.refuse(
+      session,
+      this.peekMessage(session, frame),
+      new ProtocolError("RATE_LIMITED", "Rate limit exceeded", {
+        // Frames larger than the byte burst are never accepted
+        retryAfterMs: Number.isFinite(retryAfterMs) ? retryAfterMs : null,
+      })
+    )
+    return false
+  }
+
+  // The message in a frame that is refused before it is handled, so the
+  // refusal can carry its id. Undefined for frames that hold no message.
+  private peekMessage(session: Session, frame: string | ArrayBuffer) {
+    try {
+      const decoded = session.codec.decode(frame)
+      return isObject(decoded) ? decoded : undefined
+    } catch (error) {
+      return undefined
+    }
+  }
+
+  // Answers a message over the message limits with MESSAGE_TOO_LARGE, and
+  // closes sessions that keep sending them
+  private rejectOverLimit(
+    session: Session,
+    message: string,
+    messageData?: any
+  ) {
+    session.limitViolations++
+    if (
+      this.maxLimitViolations > 0 &&
+      session.limitViolations > this.maxLimitViolations
+    ) {
+      console.log(`Message limit violations from ${session.connectionId}`)
+      session.close(CLOSE_MESSAGE_TOO_BIG, "Message too large")
+      return
+    }
+    this.refuse(
+      session,
+      messageData,
+      new ProtocolError("MESSAGE_TOO_LARGE", message, {
+        limits: this.messageLimits,
+      })
+    )
+  }
+
+  private get heartbeatInterval(): number {
+    return Number(this.env.HEARTBEAT_INTERVAL_MS) || DEFAULT_HEARTBEAT_INTERVAL
+  }
+
+  private async scheduleHeartbeat() {
+    if ((await this.ctx.storage.getAlarm()) === null) {
+      await this.ctx.storage.setAlarm(Date.now() + this.heartbeatInterval)
+    }
+  }
+
+  // Heartbeat tick. Sockets that sent nothing since the previous tick are
+  // closed, the others are pinged and must answer before the next one.
+  // Sockets that had an interval to authenticate and did not are closed.
+  async alarm() {
+    for (const session of this.sessions.values()) {
+      if (session.detachedAt !== null) {
+        if (this.resumeExpired(session)) this.removeSession(session)
+        continue
+      }
+      if (!session.isAlive) {
+        console.log(`Heartbeat timeout for ${session.connectionId}`)
+        session.close(CLOSE_HEARTBEAT_TIMEOUT, "Heartbeat timeout")
+        this.removeSession(session)
+        continue
+      }
+      session.isAlive = false
+      this.send(session, { type: "ping", timestamp: Date.now() })
+    }
+
+    for (const [session, deadline] of this.authDeadlines) {
+      if (Date.now() < deadline) continue
+      console.log(`Authentication timeout for ${session.connectionId}`)
+      this.sendError(session, "UNAUTHORIZED", "Authentication timeout")
+      session.close(CLOSE_UNAUTHORIZED, "Authentication timeout")
+      this.authDeadlines.delete(session)
+    }
+
+    await this.pruneDirectQueues()
+
+    // Forget IPs whose upgrade budget has recovered
+    for (const [ip, bucket] of this.upgradeBuckets) {
+      if (bucket.isFull()) this.upgradeBuckets.delete(ip)
+    }
+
+    if (
+      this.sessions.size > 0 ||
+      this.authDeadlines.size > 0 ||
+      this.upgradeBuckets.size > 0
+    ) {
+      await this.ctx.storage.setAlarm(Date.now() + this.heartbeatInterval)
+    }
+  }
+
+  private async onMessage(session: Session, evt: MessageEvent) {
+    const { connectionId } = session
+    this.counters.messagesIn++
+    session.messagesIn++
+    session.isAlive = true
+
+    // Oversized frames are dropped before they are decoded, so their error
+    // carries no id
+    const size = frameSize(evt.data)
+    const sizeError = checkMessageSize(size, this.messageLimits)
+    if (sizeError) {
+      this.rejectOverLimit(session, sizeError)
+      return
+    }
+    if (!this.withinRateLimit(session, size, evt.data)) return
+
+    // Raw text heartbeats, as sent by ConnectionManager
+    if (evt.data === "ping") {
+      this.send(session, "pong")
+      return
+    }
+    if (evt.data === "pong") return
+
+    let messageData: any
+    try {
+      let messageType = "text"
+      const raw = typeof evt.data === "string" ? evt.data : ""
+
+      if (typeof evt.data !== "string" && session.codec.encoding === "json") {
+        // Binary frames carry no protocol message on JSON connections
+        messageType = "binary"
+      } else {
+        // Validate and parse the incoming message
+        let decoded: unknown
+        try {
+          decoded = session.codec.decode(evt.data)
+        } catch (parseError) {
+          // Broken MessagePack is an error, non-JSON text is plain text
+          if (typeof evt.data !== "string") {
+            throw new ProtocolError("INVALID_JSON", "Invalid message format")
+          }
+        }
+        if (isObject(decoded)) {
+          messageData = decoded
+          messageType = messageData.type || "message"
+        } else {
+          // Only objects are protocol messages. Text such as `123` is text.
+          messageData = {
+            content: typeof evt.data === "string" ? evt.data : decoded,
+          }
+          messageType = "text"
+        }
+      }
+
+      console.log(
+        `Received ${messageType} (${size} bytes) from ${connectionId}`
+      )
+
+      const shapeError = checkMessageShape(messageData, this.messageLimits)
+      if (shapeError) {
+        this.rejectOverLimit(session, shapeError, messageData)
+        return
+      }
+
+      if (messageType === "auth") {
+        await this.handleAuth(session, messageData)
+        return
+      }
+      if (!this.sessions.has(connectionId)) {
+        this.refuse(
+          session,
+          messageData,
+          new ProtocolError("UNAUTHORIZED", "Authentication required")
+        )
+        session.close(CLOSE_UNAUTHORIZED, "Authentication required")
+        return
+      }
+      if (messageType === "binary") {
+        // Echo binary frames back unchanged
+        this.send(session, new Uint8Array(evt.data as ArrayBuffer))
+        return
+      }
+
+      await this.router.dispatch(
+        { hub: this, session, raw },
+        messageType,
+        messageData
+      )
+      this.sendAck(session, messageData, "accepted")
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        this.refuse(session, messageData, error)
+        return
+      }
+      console.error(`Error processing message from ${connectionId}:`, error)
+      this.refuse(
+        session,
+        messageData,
+        new ProtocolError("INTERNAL_ERROR", "Internal server error"),
+        "error"
+      )
+    }
+  }
+
+  // Acknowledges client messages that carry an `id`, see sendWithAck
+  private sendAck(
+    session: Session,
+    messageData: any,
+    status: AckStatus,
+    error?: ProtocolError
+  ) {
+    if (messageData?.id === undefined || messageData?.id === null) return
+    const ack: ServerMessageOf<"ack"> = {
+      type: "ack",
+      ack: true,
+      id: messageData.id,
+      status,
+      error: error?.message,
+      code: error?.code,
+      timestamp: new Date().toISOString(),
+    }
+    this.send(session, ack)
+  }
+
+  // Notifies the other members of the hub, or of `channel` when given, that
+  // the session joined or left. Counts are taken after the change.
+  announcePresence(
+    type: "user_joined" | "user_left",
+    session: Session,
+    channel?: string
+  ) {
+    const payload: ServerMessageOf<typeof type> = {
+      type,
+      connectionId: session.connectionId,
+      userId: session.userId,
+      channel,
+      timestamp: new Date().toISOString(),
+      totalUsers:
+        channel === undefined
+          ? this.connectionCount
+          : this.channels.subscribers(channel).length,
+    }
+    if (channel === undefined) {
+      this.broadcast(payload, { exclude: session.connectionId })
+    } else {
+      this.publish(channel, payload, { exclude: session.connectionId })
+    }
+  }
+
+  // Queued messages expire after DIRECT_QUEUE_TTL_MS
+  async enqueueDirect(userId: string, payload: object) {
+    const key = directQueueKey(userId)
+    const now = Date.now()
+    const queue = (
+      (await this.ctx.storage.get<QueuedDirect[]>(key)) ?? []
+    ).filter((entry) => entry.expiresAt > now)
+    queue.push({ payload, expiresAt: now + this.directQueueTtlMs })
+    // Keep the newest messages when the queue overflows
+    await this.ctx.storage.put(key, queue.slice(-MAX_QUEUED_DIRECT_MESSAGES))
+  }
+
+  private async flushDirectQueue(session: Session) {
+    if (!session.user) return
+    const key = directQueueKey(session.user.sub)
+    const queue = await this.ctx.storage.get<QueuedDirect[]>(key)
+    if (!queue) return
+
+    await this.ctx.storage.delete(key)
+    const now = Date.now()
+    for (const { payload, expiresAt } of queue) {
+      if (expiresAt > now) this.send(session, { ...payload, queued: true })
+    }
+  }
+
+  // Drops expired messages from the offline queues, and queues left empty
+  private async pruneDirectQueues() {
+    const now = Date.now()
+    const queues = await this.ctx.storage.list<QueuedDirect[]>({
+      prefix: DIRECT_QUEUE_PREFIX,
+    })
+    for (const [key, queue] of queues) {
+      const live = queue.filter((entry) => entry.expiresAt > now)
+      if (live.length === 0) await this.ctx.storage.delete(key)
+      else if (live.length < queue.length) await this.ctx.storage.put(key, live)
+    }
+  }
+
+  private onClose(session: Session, evt: CloseEvent) {
+    console.log(
+      `WebSocket connection closed for ${session.connectionId}: Code ${evt.code}, Reason: ${evt.reason}`
+    )
+    this.leave(session, evt.code)
+  }
+
+  private onError(session: Session, evt: Event) {
+    this.counters.socketErrors++
+    console.error(`WebSocket error for ${session.connectionId}:`, evt)
+    this.leave(session)
+  }
+
+  // Keeps a dropped session for the resume window, unless the client said
+  // goodbye (1000) or the server closed the socket
+  private leave(session: Session, code?: number) {
+    // close and error can both fire for the same socket
+    if (session.detachedAt !== null) return
+    if (
+      this.resumeWindowMs > 0 &&
+      this.sessions.has(session.connectionId) &&
+      !session.closing &&
+      code !== 1000
+    ) {
+      session.detach()
+      return
+    }
+    this.removeSession(session)
+  }
+
+  private removeSession(session: Session) {
+    session.isAlive = false
+    this.authDeadlines.delete(session)
+    this.resumeTokens.delete(session.resumeToken)
+    if (!this.sessions.delete(session.connectionId)) return
+
+    for (const channel of this.channels.unsubscribeAll(session.connectionId)) {
+      this.announcePresence("user_left", session, channel)
+    }
+    this.announcePresence("user_left", session)
+  }
+}
@@ -0,0 +1,3 @@
+// Ids such as "ws-1703123456789-abc123def" for connections and messages
+export const createId = (prefix: string) =>
+  `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`
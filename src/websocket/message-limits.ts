@@ -0,0 +1,25 @@
+import type { MessageLimits } from "@cf-worker-02/protocol"
+import type { Env } from "../env"
+import { limitFrom } from "./rate-limit"
+
+const DEFAULT_MAX_MESSAGE_BYTES = 65536
+const DEFAULT_MAX_MESSAGE_DEPTH = 32
+const DEFAULT_MAX_MESSAGE_KEYS = 1024
+const DEFAULT_MAX_LIMIT_VIOLATIONS = 3
+
+// "0" disables the depth and key count checks, the size limit always applies
+export const messageLimitsFromEnv = (env: Env): MessageLimits => {
+  const maxDepth = limitFrom(env.MAX_MESSAGE_DEPTH, DEFAULT_MAX_MESSAGE_DEPTH)
+  const maxKeys = limitFrom(env.MAX_MESSAGE_KEYS, DEFAULT_MAX_MESSAGE_KEYS)
+  return {
+    maxBytes:
+      limitFrom(env.MAX_MESSAGE_BYTES, DEFAULT_MAX_MESSAGE_BYTES) ||
+      DEFAULT_MAX_MESSAGE_BYTES,
+    maxDepth: maxDepth || null,
+    maxKeys: maxKeys || null,
+  }
+}
+
+// Messages over the limits a connection may send before it is closed
+export const maxLimitViolationsFromEnv = (env: Env): number =>
+  limitFrom(env.MESSAGE_LIMIT_MAX_VIOLATIONS, DEFAULT_MAX_LIMIT_VIOLATIONS)
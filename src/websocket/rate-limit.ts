@@ -0,0 +1,110 @@
+import type { Env } from "../env"
+
+// Refills `rate` tokens per second up to `capacity`. A rate of 0 disables
+// the bucket: every take succeeds.
+export class TokenBucket {
+  private tokens: number
+  private updatedAt: number
+
+  constructor(
+    readonly rate: number,
+    readonly capacity: number,
+    now = Date.now()
+  ) {
+    this.tokens = capacity
+    this.updatedAt = now
+  }
+
+  private refill(now: number) {
+    const elapsed = Math.max(0, now - this.updatedAt) / 1000
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate)
+    this.updatedAt = now
+  }
+
+  // Takes `cost` tokens, or none when fewer are left
+  take(cost = 1, now = Date.now()): boolean {
+    if (this.rate <= 0) return true
+    this.refill(now)
+    if (this.tokens < cost) return false
+    this.tokens -= cost
+    return true
+  }
+
+  // Milliseconds until `cost` tokens are available, Infinity when the bucket
+  // can never hold that many
+  retryAfter(cost = 1, now = Date.now()): number {
+    if (this.rate <= 0) return 0
+    if (cost > this.capacity) return Infinity
+    this.refill(now)
+    return Math.ceil((Math.max(0, cost - this.tokens) / this.rate) * 1000)
+  }
+
+  // A full bucket carries no state worth keeping
+  isFull(now = Date.now()): boolean {
+    this.refill(now)
+    return this.tokens >= this.capacity
+  }
+}
+
+export interface RateLimits {
+  messagesPerSecond: number
+  bytesPerSecond: number
+  upgradesPerMinute: number
+  // Rate limited messages per minute a connection may send before it is
+  // closed
+  maxViolations: number
+}
+
+const DEFAULT_RATE_LIMITS: RateLimits = {
+  messagesPerSecond: 20,
+  bytesPerSecond: 65536,
+  upgradesPerMinute: 30,
+  maxViolations: 10,
+}
+
+// Unset variables use the defaults, "0" disables a limit
+export const limitFrom = (value: string | undefined, fallback: number) => {
+  const limit = Number(value)
+  return value === undefined || value === "" || !(limit >= 0) ? fallback : limit
+}
+
+export const rateLimitsFromEnv = (env: Env): RateLimits => ({
+  messagesPerSecond: limitFrom(
+    env.RATE_LIMIT_MESSAGES_PER_SECOND,
+    DEFAULT_RATE_LIMITS.messagesPerSecond
+  ),
+  bytesPerSecond: limitFrom(
+    env.RATE_LIMIT_BYTES_PER_SECOND,
+    DEFAULT_RATE_LIMITS.bytesPerSecond
+  ),
+  upgradesPerMinute: limitFrom(
+    env.RATE_LIMIT_UPGRADES_PER_MINUTE,
+    DEFAULT_RATE_LIMITS.upgradesPerMinute
+  ),
+  maxViolations: limitFrom(
+    env.RATE_LIMIT_MAX_VIOLATIONS,
+    DEFAULT_RATE_LIMITS.maxViolations
+  ),
+})
+
+// Buckets of one connection. Message buckets allow bursts of two seconds
+// worth of traffic.
+export const messageBuckets = (limits: RateLimits) => ({
+  messages: new TokenBucket(
+    limits.messagesPerSecond,
+    limits.messagesPerSecond * 2
+  ),
+  bytes: new TokenBucket(limits.bytesPerSecond, limits.bytesPerSecond * 2),
+  violations: new TokenBucket(limits.maxViolations / 60, limits.maxViolations),
+})
+
+export type MessageBuckets = ReturnType<typeof messageBuckets>
+
+export const upgradeBucket = (limits: RateLimits) =>
+  new TokenBucket(limits.upgradesPerMinute / 60, limits.upgradesPerMinute)
+
+// Size of a frame as sent over the wire
+export const frameSize = (data: string | ArrayBuffer) =>
+  typeof data === "string"
+    ? new TextEncoder().encode(data).byteLength
+    : data.byteLength
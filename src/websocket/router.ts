@@ -0,0 +1,95 @@
+import type { ErrorCode, Schema } from "@cf-worker-02/protocol"
+import { isAdmin } from "../auth"
+import type { Hub } from "./hub"
+import type { Session } from "./session"
+
+export type Permission = "anyone" | "authenticated" | "admin"
+
+export interface HandlerContext {
+  hub: Hub
+  session: Session
+  // The frame as received, before parsing
+  raw: string
+}
+
+export interface OutgoingMessage {
+  type: string
+  [key: string]: unknown
+}
+
+export interface MessageHandler<
+  P = any,
+  R extends OutgoingMessage = OutgoingMessage
+> {
+  type: string
+  schema: Schema<P>
+  permission: Permission
+  // Returns the reply for the sender, if any
+  handle(ctx: HandlerContext, payload: P): R | void | Promise<R | void>
+}
+
+// Thrown by handlers to refuse a message. The client receives an `error`
+// with the code, message and details, and a `rejected` ack.
+export class ProtocolError extends Error {
+  constructor(
+    public code: ErrorCode,
+    message: string,
+    public details: Record<string, unknown> = {}
+  ) {
+    super(message)
+    this.name = "ProtocolError"
+  }
+}
+
+// Identity function that infers the payload and reply types of a handler
+export const defineHandler = <P, R extends OutgoingMessage>(
+  handler: MessageHandler<P, R>
+): MessageHandler<P, R> => handler
+
+export class MessageRouter {
+  private handlers = new Map<string, MessageHandler>()
+
+  constructor(handlers: MessageHandler[] = []) {
+    for (const handler of handlers) this.register(handler)
+  }
+
+  register(handler: MessageHandler): this {
+    if (this.handlers.has(handler.type)) {
+      throw new Error(`A handler for "${handler.type}" is already registered`)
+    }
+    this.handlers.set(handler.type, handler)
+    return this
+  }
+
+  // Validates and runs the handler for `type`, sending its reply. Throws
+  // ProtocolError when the message is refused.
+  async dispatch(ctx: HandlerContext, type: string, data: unknown) {
+    const handler = this.handlers.get(type)
+    if (!handler) {
+      throw new ProtocolError("UNKNOWN_TYPE", `Unknown message type: ${type}`, {
+        messageType: type,
+      })
+    }
+
+    const { user } = ctx.session
+    if (handler.permission === "authenticated" && !user) {
+      throw new ProtocolError(
+        "UNAUTHORIZED",
+        `Authentication required for ${type}`
+      )
+    }
+    if (handler.permission === "admin" && !isAdmin(user)) {
+      throw new ProtocolError("FORBIDDEN", `Admin role required for ${type}`)
+    }
+
+    const payload = handler.schema.parse(data)
+    if (!payload.ok) {
+      throw new ProtocolError("INVALID_MESSAGE", payload.message, {
+        messageType: type,
+      })
+    }
+
+    const reply = await handler.handle(ctx, payload.value)
+    if (reply) ctx.hub.send(ctx.session, reply)
+  }
+}
@@ -0,0 +1,127 @@
+import {
+  CLOSE_SESSION_RESUMED,
+  jsonCodec,
+  PROTOCOL_VERSION,
+  type Codec,
+  type RemoteInfo,
+} from "@cf-worker-02/protocol"
+import type { AuthClaims } from "../auth"
+import { createId } from "./ids"
+import type { MessageBuckets } from "./rate-limit"
+
+// Frames kept for a detached session, the oldest are dropped beyond this
+const MAX_OUTBOX_FRAMES = 100
+
+// Secret presented with `?resume=` to take over a detached session
+const createResumeToken = () => crypto.randomUUID()
+
+// One accepted socket of a hub and what the hub knows about it
+export class Session {
+  readonly connectionId = createId("ws")
+  readonly connectedAt = new Date().toISOString()
+  readonly remote: RemoteInfo
+  resumeToken = createResumeToken()
+  isAlive = true
+  // Set when the server closes the socket, such sessions are not resumable
+  closing = false
+  // Set while the socket is gone and the session waits to be resumed
+  detachedAt: number | null = null
+  private outbox: (string | Uint8Array)[] = []
+  // Settles when the frames received so far have been handled
+  private handled: Promise<void> = Promise.resolve()
+  // Negotiated during the handshake, see negotiateHandshake
+  protocolVersion = PROTOCOL_VERSION
+  // Encodes protocol messages sent to this socket
+  codec: Codec = jsonCodec
+  // Claims of the verified JWT, null for anonymous connections
+  user: AuthClaims | null = null
+  messagesIn = 0
+  // Messages rejected for exceeding the hub's message limits
+  limitViolations = 0
+  messagesOut = 0
+
+  constructor(
+    private socket: WebSocket,
+    request: Request,
+    readonly buckets: MessageBuckets
+  ) {
+    this.remote = {
+      ip: request.headers.get("CF-Connecting-IP"),
+      userAgent: request.headers.get("User-Agent"),
+      origin: request.headers.get("Origin"),
+      country: (request.cf?.country as string | undefined) ?? null,
+    }
+  }
+
+  get userId(): string | null {
+    return this.user?.sub ?? null
+  }
+
+  // Strings and bytes are sent as they are, other payloads are encoded with
+  // the session's codec. Frames for a detached session are kept until it is
+  // resumed. Throws when the socket refuses the frame.
+  send(payload: unknown) {
+    const frame =
+      typeof payload === "string" || payload instanceof Uint8Array
+        ? payload
+        : this.codec.encode(payload)
+    if (this.detachedAt !== null) {
+      this.outbox.push(frame)
+      if (this.outbox.length > MAX_OUTBOX_FRAMES) this.outbox.shift()
+      return
+    }
+    this.socket.send(frame)
+    this.messagesOut++
+  }
+
+  // Runs `handle` once the frames received before have been handled, so a
+  // frame sees the outcome of those before it, such as an `auth`
+  inOrder(handle: () => Promise<void>): Promise<void> {
+    const result = this.handled.then(handle)
+    this.handled = result.catch(() => {})
+    return result
+  }
+
+  close(code: number, reason: string) {
+    this.isAlive = false
+    this.closing = true
+    this.socket.close(code, reason)
+  }
+
+  detach() {
+    this.detachedAt = Date.now()
+  }
+
+  // Whether the socket is the one the session currently uses. Events of
+  // replaced sockets are ignored.
+  owns(socket: WebSocket): boolean {
+    return this.socket === socket
+  }
+
+  // Continues the session on the socket of a resuming client, closing the
+  // old socket if the hub had not noticed it was gone. The resume token is
+  // replaced, the old one is spent. Returns the old socket.
+  attach(socket: WebSocket): WebSocket {
+    const previous = this.socket
+    if (this.detachedAt === null) {
+      try {
+        this.socket.close(CLOSE_SESSION_RESUMED, "Session resumed")
+      } catch (error) {
+        // Already closed
+      }
+    }
+    this.socket = socket
+    this.closing = false
+    this.detachedAt = null
+    this.isAlive = true
+    this.resumeToken = createResumeToken()
+    return previous
+  }
+
+  // Sends the frames kept while the session was detached
+  flushOutbox() {
+    const frames = this.outbox
+    this.outbox = []
+    for (const frame of frames) this.send(frame)
+  }
+}